@@ -12,7 +12,13 @@
 const common = require('x2node-common');
 
 const recordNormalizer = require('./lib/record-normalizer.js');
+const normalizationPlan = require('./lib/normalization-plan.js');
+const patchNormalizer = require('./lib/patch-normalizer.js');
+const jsonSchema = require('./lib/json-schema.js');
+const errorFormatters = require('./lib/error-formatters.js');
 const standard = require('./lib/standard.js');
+const locales = require('./lib/locales/index.js');
+const messageCatalogs = require('./lib/message-catalogs.js');
 const ValidationErrors = require('./lib/validation-errors.js');
 
 
@@ -51,17 +57,184 @@ exports.isSupported = function(obj) {
  * context.
  * @param {*} value The value to validate/normalize.
  * @returns {*} Normalized value, which, if different from the current value, is
- * set back into the record object.
+ * set back into the record object. If the validation is asynchronous (see
+ * context's <code>async</code> property), may return a promise of the
+ * normalized value.
  */
 /**
- * Validator/normalizer function curried with the parameters.
+ * Validator/normalizer function curried with the parameters. The function
+ * object also has <code>validatorId</code> property with the validator id
+ * (<code>null</code> for anonymous validators),
+ * <code>validatorParams</code> property with the validator parameters
+ * (<code>null</code> if none), <code>wholeRecord</code> flag that tells if
+ * the validator was marked as whole-record-only in its specification and
+ * <code>warning</code> flag that tells if the validator was marked as
+ * warning-only. Errors reported by a warning-only validator are reported as
+ * warnings and, therefore, are ignored unless <code>warnings</code>
+ * normalization option is set.
  *
  * @callback module:x2node-validators.curriedValidator
  * @param {module:x2node-validators~ValidationContext} ctx Current validation
  * context.
  * @param {*} value The value to validate/normalize.
  * @returns {*} Normalized value, which, if different from the current value, is
- * set back into the record object.
+ * set back into the record object. If the validation is asynchronous (see
+ * context's <code>async</code> property), may return a promise of the
+ * normalized value.
+ */
+
+/**
+ * Record normalization options.
+ *
+ * Besides the properties listed below, the options object may contain any
+ * application-specific values, such as the current user or tenant. Custom
+ * validators can read them via the validation context's <code>options</code>
+ * property.
+ *
+ * @typedef {Object} module:x2node-validators~NormalizationOptions
+ * @property {string} [lang] Language for the error messages in the same format
+ * as used by the HTTP's "Accept-Language" request header. Used when the options
+ * object is passed in place of the language argument.
+ * @property {string} [validationSets] Comma-separated validation set names.
+ * Used when the options object is passed in place of the language argument.
+ * @property {boolean} [partial] <code>true</code> to validate the record in the
+ * partial mode used for merge-patch style updates
+ * ([RFC 7396]{@link https://tools.ietf.org/html/rfc7396}). In the partial mode,
+ * properties absent in the record are not validated (only those that are
+ * present), <code>null</code> means removal of the property (and thus is an
+ * error for a non-optional property), and validators marked with
+ * <code>wholeRecord</code> flag are not invoked.
+ * @property {string} [operation] Kind of the operation, for which the record
+ * is validated: "create" or "update". If "create", values for generated, record
+ * meta-info and read-only properties are not accepted. If "update", in
+ * addition to those, values for the record id and non-modifiable properties
+ * are not accepted. If not specified, all properties are accepted.
+ * @property {string} [readOnlyProperties] What to do with the values for the
+ * properties not accepted for the operation: "reject" (the default) to report
+ * them as errors, or "strip" to remove them from the record.
+ * @property {boolean} [coerce] <code>true</code> to turn on the coercion mode,
+ * in which numeric strings are converted to numbers, "true", "false", "1" and
+ * "0" to booleans, epoch milliseconds to datetimes and single values of array
+ * properties to arrays.
+ * @property {number} [maxErrors] Maximum number of errors to collect. Once
+ * reached, the validation stops and the errors object is marked as truncated.
+ * @property {boolean} [copy] <code>true</code> to turn on the copy mode, in
+ * which the provided record (or patch) is left intact and the normalization
+ * function returns a result object with the errors and a normalized copy. Only
+ * the objects and arrays along the paths to the changed values are copied, the
+ * rest is shared with the original.
+ * @property {boolean} [changes] <code>true</code> to collect the changes made
+ * to the values by the validators. The normalization function then returns a
+ * result object with the errors and the changes.
+ * @property {boolean} [warnings] <code>true</code> to collect validation
+ * warnings. The normalization function then returns a result object with the
+ * errors and the warnings. If not set, warnings reported by the validators
+ * (including all errors reported by warning-only validators) are discarded.
+ * @property {Object} [baseRecord] For <code>normalizePatch()</code>, the
+ * current record, to which the patch is going to be applied. If provided, the
+ * validators of the operation values see the target's siblings in the base
+ * record, so that the sibling-dependency validators, such as
+ * <code>requiredIf</code>, work as expected. The base record is not modified.
+ * @property {module:x2node-validators~uniqueLookup} [uniqueLookup] Lookup
+ * function used by the <code>unique</code> validator. Overrides the function
+ * specified on the record types library definition.
+ * @property {module:x2node-validators~refResolver} [refResolver] Resolver
+ * function used by the <code>refExists</code> validator. Overrides the function
+ * specified on the record types library definition.
+ */
+
+/**
+ * Function used by the standard <code>unique</code> validator to find out if
+ * another record uses the same key values.
+ *
+ * @callback module:x2node-validators~uniqueLookup
+ * @param {string} recordTypeName Record type name.
+ * @param {Object.<string,*>} values The key values. The keys are property paths
+ * and the values are the property values in the validated record.
+ * @param {?*} exceptId Id of the record to exclude from the search (the
+ * validated record itself when it is validated for an update), or
+ * <code>null</code>.
+ * @param {module:x2node-validators~ValidationContext} ctx Current validation
+ * context.
+ * @returns {(boolean|Promise.<boolean>)} <code>true</code> if another record
+ * with the same key values exists. A promise may be returned only if the
+ * validation is asynchronous.
+ */
+
+/**
+ * Function used to check existence of the records referred by the properties
+ * with the standard <code>refExists</code> validator. The function is called
+ * once per target record type with all distinct ids referred in the validated
+ * record.
+ *
+ * @callback module:x2node-validators~refResolver
+ * @param {string} refTarget Target record type name.
+ * @param {Array.<(string|number)>} ids Ids of the target records to check.
+ * @param {module:x2node-validators~ValidationContext} ctx Current validation
+ * context.
+ * @returns {(Iterable.<(string|number)>|Promise.<Iterable.<(string|number)>>)}
+ * Ids of the records that exist (for example, an array or a set). A promise may
+ * be returned only if the validation is asynchronous.
+ */
+
+/**
+ * Function used to format a message parameter value for a typed placeholder in
+ * a validation error message template, such as <code>${max, number}</code>.
+ *
+ * @callback module:x2node-validators~messageParamFormatter
+ * @param {*} value The parameter value. Never <code>undefined</code> or
+ * <code>null</code>.
+ * @param {string} lang Language of the message template being rendered.
+ * @param {string} [style] Optional style specified in the placeholder after the
+ * type, as in <code>${expected, list, or}</code>.
+ * @returns {string} Formatted value.
+ */
+
+/**
+ * Value change made by a validator during the normalization.
+ *
+ * @typedef {Object} module:x2node-validators~NormalizationChange
+ * @property {string} pointer JSON pointer of the changed record element (for
+ * a patch, of the element at the operation path).
+ * @property {*} originalValue The value before the change.
+ * @property {*} value The new value, or <code>undefined</code> if the value was
+ * removed.
+ * @property {?string} validatorId Id of the validator that made the change, or
+ * <code>null</code> for an anonymous validator.
+ */
+
+/**
+ * Result of a record normalization returned in the copy mode or when changes
+ * or warnings are collected.
+ *
+ * @typedef {Object} module:x2node-validators~NormalizationResult
+ * @property {?module:x2node-validators~ValidationErrors} errors Validation
+ * errors, or <code>null</code> if the record is valid.
+ * @property {Object} record The normalized record. If nothing was changed by
+ * the normalization, or not in the copy mode, this is the original record
+ * object.
+ * @property {Array.<module:x2node-validators~NormalizationChange>} [changes]
+ * If changes are collected, the changes in the order they were made.
+ * @property {?module:x2node-validators~ValidationErrors} [warnings] If
+ * warnings are collected, the validation warnings, or <code>null</code> if
+ * none.
+ */
+
+/**
+ * Result of a patch normalization returned in the copy mode or when changes
+ * or warnings are collected.
+ *
+ * @typedef {Object} module:x2node-validators~PatchNormalizationResult
+ * @property {?module:x2node-validators~ValidationErrors} errors Validation
+ * errors, or <code>null</code> if the patch is valid.
+ * @property {Array.<Object>} patch The normalized patch. If nothing was
+ * changed by the normalization, or not in the copy mode, this is the original
+ * patch array.
+ * @property {Array.<module:x2node-validators~NormalizationChange>} [changes]
+ * If changes are collected, the changes in the order they were made.
+ * @property {?module:x2node-validators~ValidationErrors} [warnings] If
+ * warnings are collected, the validation warnings, or <code>null</code> if
+ * none.
  */
 
 // export record normalization function
@@ -76,6 +249,229 @@ exports.normalizeRecord = function(
 		recordTypes, recordTypeName, record, lang, validationSets);
 }
 
+// export asynchronous record normalization function
+exports.normalizeRecordAsync = function(
+	recordTypes, recordTypeName, record, lang, validationSets) {
+
+	if (!recordTypes[TAG])
+		return Promise.reject(new common.X2UsageError(
+			'Record types library does not have the validators extension.'));
+
+	return recordNormalizer.normalizeAsync(
+		recordTypes, recordTypeName, record, lang, validationSets);
+};
+
+// export record element normalization function
+exports.normalizeRecordElement = function(
+	recordTypes, recordTypeName, record, ptr, lang, validationSets) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return recordNormalizer.normalizeSubtree(
+		recordTypes, recordTypeName, record, ptr, lang, validationSets);
+};
+
+// export asynchronous record element normalization function
+exports.normalizeRecordElementAsync = function(
+	recordTypes, recordTypeName, record, ptr, lang, validationSets) {
+
+	if (!recordTypes[TAG])
+		return Promise.reject(new common.X2UsageError(
+			'Record types library does not have the validators extension.'));
+
+	return recordNormalizer.normalizeSubtreeAsync(
+		recordTypes, recordTypeName, record, ptr, lang, validationSets);
+};
+
+// export patch normalization function
+exports.normalizePatch = function(
+	recordTypes, recordTypeName, patch, lang, validationSets) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return patchNormalizer.normalize(
+		recordTypes, recordTypeName, patch, lang, validationSets);
+};
+
+// export asynchronous patch normalization function
+exports.normalizePatchAsync = function(
+	recordTypes, recordTypeName, patch, lang, validationSets) {
+
+	if (!recordTypes[TAG])
+		return Promise.reject(new common.X2UsageError(
+			'Record types library does not have the validators extension.'));
+
+	return patchNormalizer.normalizeAsync(
+		recordTypes, recordTypeName, patch, lang, validationSets);
+};
+
+// export JSON Schema generation function
+exports.generateJSONSchema = function(
+	recordTypes, recordTypeName, validationSets) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return jsonSchema.generate(recordTypes, recordTypeName, validationSets);
+};
+
+/**
+ * Validation errors formatting options.
+ *
+ * @typedef {Object} module:x2node-validators~ErrorFormatOptions
+ * @property {string} [lang] Language for the field titles and the error
+ * messages in the same format as used by the HTTP's "Accept-Language" request
+ * header. If provided, the messages are re-rendered in the language (see
+ * [localize()]{@link module:x2node-validators~ValidationErrors#localize}),
+ * otherwise they are used as is.
+ * @property {string} [pointerPrefix] Prefix to add to the error pointers, such
+ * as "/data/attributes" for JSON:API.
+ * @property {number} [status] HTTP response status code for the problem
+ * details and JSON:API formats. Defaults to 422.
+ * @property {string} [type] Problem type URI for the problem details format.
+ * Defaults to "about:blank".
+ * @property {string} [title] Problem title for the problem details format.
+ * Defaults to "Unprocessable Content".
+ * @property {string} [detail] Optional problem detail for the problem details
+ * format.
+ * @property {string} [instance] Optional problem instance URI for the problem
+ * details format.
+ */
+
+/**
+ * Item of the flat validation errors list.
+ *
+ * @typedef {Object} module:x2node-validators~ErrorListItem
+ * @property {string} pointer JSON pointer of the invalid record element.
+ * @property {?string} field Title of the invalid record element, or
+ * <code>null</code> if the pointer does not match the record type.
+ * @property {string} message The error message.
+ * @property {?string} code Validation error message id, or <code>null</code> if
+ * the error was reported using a message template.
+ */
+
+/**
+ * Format validation errors as a flat list ordered by the record type
+ * definition.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the validated record type.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none (such as the result of a successful
+ * normalization).
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or just the language.
+ * @returns {Array.<module:x2node-validators~ErrorListItem>} The list.
+ * @throws {module:x2node-common.X2UsageError} If the library does not have the
+ * validators extension.
+ */
+exports.toErrorList = function(recordTypes, recordTypeName, errors, options) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return errorFormatters.toList(
+		recordTypes, recordTypeName, errors, options);
+};
+
+/**
+ * Format validation errors as an RFC 7807 (RFC 9457)
+ * "application/problem+json" response body with the errors in the
+ * <code>errors</code> extension member.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the validated record type.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none (such as the result of a successful
+ * normalization).
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or just the language.
+ * @returns {Object} The problem details object.
+ * @throws {module:x2node-common.X2UsageError} If the library does not have the
+ * validators extension.
+ */
+exports.toProblemDetails = function(
+	recordTypes, recordTypeName, errors, options) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return errorFormatters.toProblemDetails(
+		recordTypes, recordTypeName, errors, options);
+};
+
+/**
+ * Format validation errors as a JSON:API errors document.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the validated record type.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none (such as the result of a successful
+ * normalization).
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or just the language.
+ * @returns {Object} The document with the <code>errors</code> array.
+ * @throws {module:x2node-common.X2UsageError} If the library does not have the
+ * validators extension.
+ */
+exports.toJSONAPIErrors = function(
+	recordTypes, recordTypeName, errors, options) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return errorFormatters.toJSONAPI(
+		recordTypes, recordTypeName, errors, options);
+};
+
+/**
+ * Missing translations report for a message catalog.
+ *
+ * @typedef {Object} module:x2node-validators~MissingTranslationsReport
+ * @property {?string} file Path of the catalog file, or <code>null</code> if
+ * the catalog was provided as an object.
+ * @property {string} lang Language code of the catalog.
+ * @property {Array.<string>} missingTitles Catalog scopes of the record types
+ * and properties, whose titles are not translated to the catalog's language.
+ * @property {Array.<{scope: string, messageId: string}>} missingMessages
+ * Validation error messages not translated to the catalog's language. The
+ * library scope lists all messages available to the library, record type and
+ * property scopes list only messages defined specifically for them.
+ */
+
+/**
+ * Get report of the titles and validation error messages that are not
+ * translated to the languages of the message catalogs loaded by the library.
+ * Translations provided inline in the library definition count as well.
+ *
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @returns {Array.<module:x2node-validators~MissingTranslationsReport>} Report
+ * for each catalog in the order the catalogs were specified.
+ * @throws {module:x2node-common.X2UsageError} If the library does not have the
+ * validators extension.
+ */
+exports.getMissingTranslations = function(recordTypes) {
+
+	if (!recordTypes[TAG])
+		throw new common.X2UsageError(
+			'Record types library does not have the validators extension.');
+
+	return messageCatalogs.getMissingTranslations(
+		recordTypes, recordTypes[MESSAGE_CATALOGS], recordTypes[LIBRARY_MESSAGES]);
+};
+
 /**
  * Create new, empty validation errors object.
  *
@@ -152,6 +548,24 @@ const DEFAULT_VALIDATORS = Symbol('DEFAULT_VALIDATORS');
  */
 const VALIDATION_ERROR_MESSAGES_STACK = Symbol('VALIDATION_ERROR_MESSAGES');
 
+/**
+ * Symbol on the context and the record types library for the loaded message
+ * catalogs.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const MESSAGE_CATALOGS = Symbol('MESSAGE_CATALOGS');
+
+/**
+ * Symbol on the record types library for the library-wide validation error
+ * messages.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const LIBRARY_MESSAGES = Symbol('LIBRARY_MESSAGES');
+
 /**
  * Symbol on the context for the validator definition stack.
  *
@@ -160,6 +574,46 @@ const VALIDATION_ERROR_MESSAGES_STACK = Symbol('VALIDATION_ERROR_MESSAGES');
  */
 const VALIDATOR_DEFS_STACK = Symbol('VALIDATOR_DEFS');
 
+/**
+ * Symbol on the context for the unknown properties policy stack.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const UNKNOWN_PROPERTIES_STACK = Symbol('UNKNOWN_PROPERTIES');
+
+/**
+ * Valid unknown properties policies.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const UNKNOWN_PROPERTIES_POLICIES = new Set([ 'reject', 'strip', 'allow' ]);
+
+/**
+ * Used to mark property descriptors as read-only.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const READ_ONLY = Symbol('READ_ONLY');
+
+/**
+ * Can be used by record types library extensions to mark a property as
+ * read-only, so that values for the property are not accepted from the clients
+ * neither when a record is created nor when it is updated (see
+ * <code>operation</code> normalization option). Note that the validators module
+ * builds normalization plans in an <code>onLibraryComplete</code> handler, so
+ * extensions must call this function before that.
+ *
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ */
+exports.markReadOnly = function(propDesc) {
+
+	propDesc[READ_ONLY] = true;
+};
+
 /**
  * Can be used by record types library extensions to replace the default set of
  * validators on a record type or property descriptor. Note that the validators
@@ -252,6 +706,90 @@ exports.registerValidator = function(ctx, validatorId, validatorFunc) {
 	validatorFuncs[validatorId] = validatorFunc;
 };
 
+/**
+ * Can be used by record types library extensions to register custom message
+ * parameter formatters available to the library. The formatter is used for
+ * placeholders of the specified type in validation error message templates.
+ * Custom formatters take precedence over the standard ones.
+ *
+ * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+ * construction context.
+ * @param {string} type Placeholder type, such as "currency" for
+ * <code>${amount, currency}</code> placeholders.
+ * @param {module:x2node-validators~messageParamFormatter} formatterFunc
+ * Formatter function.
+ */
+exports.registerMessageParamFormatter = function(ctx, type, formatterFunc) {
+
+	ctx[recordNormalizer.PARAM_FORMATTERS][type] = formatterFunc;
+};
+
+/**
+ * Add bundled translations of the standard validation error messages requested
+ * by the library's <code>validationErrorLocales</code> definition attribute.
+ *
+ * @private
+ * @param {Object.<string,Object<string,string>>} base Standard validation error
+ * messages.
+ * @param {Object} libDef Record types library definition.
+ * @returns {Object.<string,Object<string,string>>} Validation error messages set
+ * including the requested translations.
+ * @throws {module:x2node-common.X2UsageError} If the attribute is invalid or
+ * requests a translation that is not bundled with the module.
+ */
+function addLocales(base, libDef) {
+
+	let langs = libDef.validationErrorLocales;
+	if ((langs === undefined) || (langs === null))
+		return base;
+	if ((typeof langs) === 'string')
+		langs = [ langs ];
+	if (!Array.isArray(langs))
+		throw new common.X2UsageError(
+			'Invalid validationErrorLocales attribute on record types' +
+				' library: expected a string or an array.');
+
+	const validationErrorMessages = new Object();
+	for (let messageId in base)
+		validationErrorMessages[messageId] = Object.assign({}, base[messageId]);
+	for (let lang of langs.map(l => String(l).toLowerCase())) {
+		const messages = locales[lang];
+		if (!messages)
+			throw new common.X2UsageError(
+				'Invalid validationErrorLocales attribute on record types' +
+					' library: no bundled translations for "' + lang + '".');
+		for (let messageId in messages)
+			validationErrorMessages[messageId][lang] = messages[messageId];
+	}
+
+	return validationErrorMessages;
+}
+
+/**
+ * Add translations from the message catalogs to the validation error messages
+ * set for the specified scope.
+ *
+ * @private
+ * @param {Object.<string,Object<string,string>>} base Validation error messages
+ * set for the scope.
+ * @param {Array.<module:x2node-validators~MessageCatalog>} catalogs Loaded
+ * message catalogs.
+ * @param {string} scope Catalog scope.
+ * @returns {Object.<string,Object<string,string>>} Validation error messages set
+ * including the translations, or the base set if no translations for the
+ * scope.
+ */
+function addCatalogMessages(base, catalogs, scope) {
+
+	const messages = messageCatalogs.getScopeMessages(catalogs, scope, base);
+	if (!messages)
+		return base;
+
+	return createValidationErrorMessages(base, {
+		validationErrorMessages: messages
+	});
+}
+
 /**
  * Create validation error messages set for the specified container or property.
  *
@@ -289,6 +827,32 @@ function createValidationErrorMessages(base, subjDef) {
 	return validationErrorMessages;
 }
 
+/**
+ * Get unknown properties policy for the specified container.
+ *
+ * @private
+ * @param {string} base Policy inherited from the context.
+ * @param {Object} subjDef Subject definition object possibly containing an
+ * <code>unknownProperties</code> attribute.
+ * @param {string} subjDescription Subject description for error messages.
+ * @returns {string} The policy.
+ * @throws {module:x2node-common.X2UsageError} If the policy in the definition
+ * is invalid.
+ */
+function getUnknownPropertiesPolicy(base, subjDef, subjDescription) {
+
+	const policy = subjDef.unknownProperties;
+	if (policy === undefined)
+		return base;
+
+	if (!UNKNOWN_PROPERTIES_POLICIES.has(policy))
+		throw new common.X2UsageError(
+			'Invalid unknown properties policy on ' + subjDescription +
+				': must be "reject", "strip" or "allow".');
+
+	return policy;
+}
+
 /**
  * Create validator functions set for the specified container or property.
  *
@@ -400,11 +964,18 @@ function createValidators(
 	let numValidators = 0;
 	for (let setId in sets) {
 		let validators = new Array();
-		for (let validatorSpec of sets[setId]) {
+		for (let setValidatorSpec of sets[setId]) {
+			let validatorSpec = setValidatorSpec, flags = null;
+			if ((validatorSpec !== null) &&
+				((typeof validatorSpec) === 'object') &&
+				!Array.isArray(validatorSpec)) {
+				flags = validatorSpec;
+				validatorSpec = flags.validator;
+			}
 			let validatorFunc, validatorId, params;
 			if ((typeof validatorSpec) === 'string') {
 				validatorId = validatorSpec;
-				if (validatorId.startsWith('-')) {
+				if (!flags && validatorId.startsWith('-')) {
 					validatorId = validatorId.substring(1);
 					validators = validators.filter(v => (v.id !== validatorId));
 					continue;
@@ -422,16 +993,25 @@ function createValidators(
 			} else {
 				throw new common.X2UsageError(
 					'Invalid validators specification on ' + subjDescription +
-						': each validator must be either a string, a function' +
-						' or a non-empty array.');
+						': each validator must be either a string, a function,' +
+						' a non-empty array or an object with a validator' +
+						' specification in "validator" attribute.');
 			}
 			if (!validatorFunc)
 				throw new common.X2UsageError(
 					'Invalid validators specification on ' + subjDescription +
 						': unknown validator "' + validatorId + '".');
+			const curriedValidatorFunc = validatorFunc.bind(undefined, params);
+			curriedValidatorFunc.validatorId = (
+				(typeof validatorSpec) === 'function' ? null : validatorId);
+			curriedValidatorFunc.validatorParams = (params || null);
+			curriedValidatorFunc.wholeRecord = (
+				flags && flags.wholeRecord ? true : false);
+			curriedValidatorFunc.warning = (
+				flags && flags.warning ? true : false);
 			validators.push({
 				id: validatorId,
-				func: validatorFunc.bind(undefined, params)
+				func: curriedValidatorFunc
 			});
 		}
 		if (validators.length > 0) {
@@ -443,6 +1023,28 @@ function createValidators(
 	return (numValidators > 0 ? sets : null);
 }
 
+/**
+ * Add ids of the validation sets used by the subject validators to the ids
+ * collected for the library.
+ *
+ * @private
+ * @param {module:x2node-records~LibraryConstructionContext} ctx Library
+ * construction context.
+ * @param {?Object.<string,Array.<module:x2node-validators.curriedValidator>>} validators
+ * The subject validators, or <code>null</code> if none.
+ */
+function addValidationSetIds(ctx, validators) {
+
+	if (!validators)
+		return;
+
+	const validationSetIds = ctx[normalizationPlan.VALIDATION_SET_IDS];
+	for (let setId in validators)
+		validationSetIds.add(
+			setId.startsWith('element:') ?
+				setId.substring('element:'.length) : setId);
+}
+
 // extend record types library
 exports.extendRecordTypesLibrary = function(ctx, recordTypes) {
 
@@ -453,19 +1055,94 @@ exports.extendRecordTypesLibrary = function(ctx, recordTypes) {
 	recordTypes[TAG] = true;
 
 	// create top validation error messages and set them on the context
+	const catalogsDef = recordTypes.definition.messageCatalogs;
+	const catalogs = (
+		(catalogsDef !== undefined) && (catalogsDef !== null) ?
+			messageCatalogs.loadCatalogs(catalogsDef) : new Array());
+	ctx[MESSAGE_CATALOGS] = catalogs;
+	recordTypes[MESSAGE_CATALOGS] = catalogs;
 	ctx[VALIDATION_ERROR_MESSAGES_STACK] = new Array();
-	ctx[VALIDATION_ERROR_MESSAGES_STACK].push(createValidationErrorMessages(
-		standard.VALIDATION_ERROR_MESSAGES, recordTypes.definition));
+	ctx[VALIDATION_ERROR_MESSAGES_STACK].push(addCatalogMessages(
+		createValidationErrorMessages(
+			addLocales(
+				standard.VALIDATION_ERROR_MESSAGES, recordTypes.definition),
+			recordTypes.definition),
+		catalogs, ''));
+	recordTypes[LIBRARY_MESSAGES] = ctx[VALIDATION_ERROR_MESSAGES_STACK][0];
+
+	// check the default language
+	const defaultLanguage = recordTypes.definition.defaultLanguage;
+	if ((defaultLanguage !== undefined) &&
+		(((typeof defaultLanguage) !== 'string') || !defaultLanguage.length))
+		throw new common.X2UsageError(
+			'Invalid default language on record types library: expected a' +
+				' non-empty string.');
+
+	// create custom message parameter formatters and share them with the library
+	const paramFormatters = new Object();
+	const paramFormattersDef = recordTypes.definition.messageParamFormatters;
+	for (let type in paramFormattersDef) {
+		const formatterFunc = paramFormattersDef[type];
+		if ((typeof formatterFunc) !== 'function')
+			throw new common.X2UsageError(
+				'Invalid message parameter formatter "' + type + '" on record' +
+					' types library: expected a function.');
+		paramFormatters[type] = formatterFunc;
+	}
+	ctx[recordNormalizer.PARAM_FORMATTERS] = paramFormatters;
+	recordTypes[recordNormalizer.PARAM_FORMATTERS] = paramFormatters;
 
 	// create top validator definitions and set them on the context
 	ctx[VALIDATOR_DEFS_STACK] = new Array();
 	ctx[VALIDATOR_DEFS_STACK].push(createValidatorFuncs(
 		standard.VALIDATOR_DEFS, recordTypes.definition));
 
+	// check the uniqueness lookup function
+	const uniqueLookup = recordTypes.definition.uniqueLookup;
+	if ((uniqueLookup !== undefined) && ((typeof uniqueLookup) !== 'function'))
+		throw new common.X2UsageError(
+			'Invalid uniqueness lookup on record types library: expected a' +
+				' function.');
+
+	// check the reference resolver function
+	const refResolver = recordTypes.definition.refResolver;
+	if ((refResolver !== undefined) && ((typeof refResolver) !== 'function'))
+		throw new common.X2UsageError(
+			'Invalid reference resolver on record types library: expected a' +
+				' function.');
+
+	// set up collection of the validation set ids used in the library
+	const validationSetIds = new Set([ '*' ]);
+	ctx[normalizationPlan.VALIDATION_SET_IDS] = validationSetIds;
+	recordTypes[normalizationPlan.VALIDATION_SET_IDS] = validationSetIds;
+
+	// create top unknown properties policy and set it on the context
+	ctx[UNKNOWN_PROPERTIES_STACK] = new Array();
+	ctx[UNKNOWN_PROPERTIES_STACK].push(getUnknownPropertiesPolicy(
+		'allow', recordTypes.definition, 'record types library'));
+
+	// precompile normalization plans for the default validation set
+	ctx.onLibraryComplete(recordTypes => {
+		const defaultSets = normalizationPlan.getPlanSets(
+			recordTypes, recordNormalizer.parseValidationSets());
+		for (let recordTypeName of recordTypes.definedRecordTypeNames)
+			normalizationPlan.getContainerPlan(
+				recordTypes.getRecordTypeDesc(recordTypeName), defaultSets);
+	});
+
 	// return it
 	return recordTypes;
 };
 
+/**
+ * Validators module specific
+ * [PropertiesContainer]{@link module:x2node-records~PropertiesContainer}
+ * extension.
+ *
+ * @mixin PropertiesContainerWithValidators
+ * @static
+ */
+
 /**
  * Validators module specific
  * [RecordTypeDescriptor]{@link module:x2node-records~RecordTypeDescriptor}
@@ -482,27 +1159,54 @@ exports.extendPropertiesContainer = function(ctx, container) {
 	const subjDescription = 'record type ' + String(container.recordTypeName) + (
 		container.isRecordType() ? '' : ' property ' + container.nestedPath);
 
+	// catalog scope
+	const catalogScope = String(container.recordTypeName) + (
+		container.isRecordType() ? '' :
+			':' + container.nestedPath.substring(
+				0, container.nestedPath.length - 1));
+
 	// push and pop context validation error messgaes and validator definitions
 	const validationErrorMessagesStack = ctx[VALIDATION_ERROR_MESSAGES_STACK];
-	const validationErrorMessages = createValidationErrorMessages(
-		validationErrorMessagesStack[validationErrorMessagesStack.length - 1],
-		container.definition);
+	const validationErrorMessages = addCatalogMessages(
+		createValidationErrorMessages(
+			validationErrorMessagesStack[
+				validationErrorMessagesStack.length - 1],
+			container.definition),
+		ctx[MESSAGE_CATALOGS], catalogScope);
 	validationErrorMessagesStack.push(validationErrorMessages);
 	const validatorDefsStack = ctx[VALIDATOR_DEFS_STACK];
 	const validatorFuncs = createValidatorFuncs(
 		validatorDefsStack[validatorDefsStack.length - 1],
 		container.definition, subjDescription);
 	validatorDefsStack.push(validatorFuncs);
+	const unknownPropertiesStack = ctx[UNKNOWN_PROPERTIES_STACK];
+	container._unknownProperties = getUnknownPropertiesPolicy(
+		unknownPropertiesStack[unknownPropertiesStack.length - 1],
+		container.definition, subjDescription);
+	unknownPropertiesStack.push(container._unknownProperties);
 	ctx.onContainerComplete(() => {
 		validationErrorMessagesStack.pop();
 		validatorDefsStack.pop();
+		unknownPropertiesStack.pop();
+	});
+
+	/**
+	 * Policy for the properties in the container objects that are not defined
+	 * in the container: "reject", "strip" or "allow".
+	 *
+	 * @member {string} module:x2node-validators.PropertiesContainerWithValidators#unknownProperties
+	 * @readonly
+	 */
+	Object.defineProperty(container, 'unknownProperties', {
+		get() { return this._unknownProperties; }
 	});
 
 	// extend record type
 	if (container.isRecordType()) {
 
 		// get record type title
-		container._title = (
+		container._title = messageCatalogs.addTitleTranslations(
+			ctx[MESSAGE_CATALOGS], catalogScope,
 			container.definition.title || String(container.recordTypeName));
 
 		// set validation error messages on the record type descriptor
@@ -514,6 +1218,7 @@ exports.extendPropertiesContainer = function(ctx, container) {
 			container._validators = createValidators(
 				validatorFuncs, container[DEFAULT_VALIDATORS],
 				container.definition, subjDescription);
+			addValidationSetIds(ctx, container._validators);
 		});
 
 		/**
@@ -568,8 +1273,14 @@ exports.extendPropertiesContainer = function(ctx, container) {
 // extend property descriptors
 exports.extendPropertyDescriptor = function(ctx, propDesc) {
 
+	// catalog scope
+	const catalogScope = String(propDesc.container.recordTypeName) + ':' +
+		propDesc.container.nestedPath + propDesc.name;
+
 	// get property title
-	propDesc._title = (propDesc.definition.title || propDesc.name);
+	propDesc._title = messageCatalogs.addTitleTranslations(
+		ctx[MESSAGE_CATALOGS], catalogScope,
+		propDesc.definition.title || propDesc.name);
 
 	// subject description for errors
 	const subjDescription = 'property ' + propDesc.container.nestedPath +
@@ -578,10 +1289,12 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 
 	// create context validation error messages and validator definitions
 	const validationErrorMessagesStack = ctx[VALIDATION_ERROR_MESSAGES_STACK];
-	let validationErrorMessages = createValidationErrorMessages(
-		validationErrorMessagesStack[validationErrorMessagesStack.length - 1],
-		propDesc.definition
-	);
+	let validationErrorMessages = addCatalogMessages(
+		createValidationErrorMessages(
+			validationErrorMessagesStack[
+				validationErrorMessagesStack.length - 1],
+			propDesc.definition),
+		ctx[MESSAGE_CATALOGS], catalogScope);
 	const validatorDefsStack = ctx[VALIDATOR_DEFS_STACK];
 	let validatorFuncs = createValidatorFuncs(
 		validatorDefsStack[validatorDefsStack.length - 1],
@@ -590,6 +1303,10 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 	// set validation error messages on the property descriptor
 	propDesc._validationErrorMessages = validationErrorMessages;
 
+	// mark read-only if so defined
+	if (propDesc.definition.readOnly)
+		propDesc[READ_ONLY] = true;
+
 	// setup validators if not a view
 	propDesc._validators = null;
 	if (!propDesc.isView() && !propDesc.isPolymorphObjectType()) {
@@ -649,6 +1366,7 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 			propDesc._validators = createValidators(
 				validatorFuncs, propDesc[DEFAULT_VALIDATORS],
 				propDesc.definition, subjDescription);
+			addValidationSetIds(ctx, propDesc._validators);
 		});
 	}
 
@@ -687,6 +1405,17 @@ exports.extendPropertyDescriptor = function(ctx, propDesc) {
 		get() { return this._validators; }
 	});
 
+	/**
+	 * Tells if the property is read-only, that is its value may not be provided
+	 * by the clients (neither when a record is created nor when it is updated).
+	 *
+	 * @member {boolean} module:x2node-validators.PropertyDescriptorWithValidators#readOnly
+	 * @readonly
+	 */
+	Object.defineProperty(propDesc, 'readOnly', {
+		get() { return (this[READ_ONLY] ? true : false); }
+	});
+
 	// return the descriptor
 	return propDesc;
 };
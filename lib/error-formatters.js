@@ -0,0 +1,256 @@
+'use strict';
+
+const common = require('x2node-common');
+const pointers = require('x2node-pointers');
+
+const recordNormalizer = require('./record-normalizer.js');
+const MessageResolver = require('./message-resolver.js');
+
+
+/**
+ * Build flat list of errors ordered by the record type definition. Properties
+ * go in the order they are defined in the record type (polymorphic object
+ * subtype properties go at the position of the subtype), collection elements
+ * go in the order of their indexes or keys, and errors for the same record
+ * element keep the order, in which they were added. Errors with pointers that
+ * do not match the record type go last.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none.
+ * @param {Object} options Formatting options.
+ * @returns {Array.<Object>} List of errors with <code>pointer</code>,
+ * <code>field</code>, <code>message</code> and <code>code</code> properties.
+ */
+function buildList(recordTypes, recordTypeName, errors, options) {
+
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// no errors
+	if (!errors)
+		return new Array();
+
+	// message resolver for the field titles
+	const messageResolver = new MessageResolver(
+		options.lang || '*', recordTypes.definition.defaultLanguage,
+		recordTypes[recordNormalizer.PARAM_FORMATTERS]);
+
+	// localize the errors if language requested
+	const localized = (options.lang ? errors.localize(options.lang) : errors);
+
+	// collect errors with the sort keys
+	const entries = new Array();
+	for (let errorKey of Object.keys(localized)) {
+		let ptr = null;
+		try {
+			ptr = pointers.parse(recordTypeDesc, errorKey);
+		} catch (err) {
+			if (!(err instanceof common.X2SyntaxError))
+				throw err;
+		}
+		const sortKey = (ptr ? getSortKey(ptr) : null);
+		const field = (
+			ptr ? messageResolver.renderMessage(
+				(ptr.propDesc === null ? recordTypeDesc : ptr.propDesc).title) :
+				null);
+		const pointer = (options.pointerPrefix || '') + errorKey;
+		for (let d of localized.getErrorDetails(errorKey))
+			entries.push({
+				sortKey: sortKey,
+				index: entries.length,
+				error: {
+					pointer: pointer,
+					field: field,
+					message: d.message,
+					code: d.messageId
+				}
+			});
+	}
+
+	// sort and return the list
+	return entries
+		.sort((e1, e2) => (
+			compareSortKeys(e1.sortKey, e2.sortKey) || (e1.index - e2.index)))
+		.map(e => e.error);
+}
+
+/**
+ * Get sort key for the record element pointer.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @returns {Array.<(number|string)>} The sort key.
+ */
+function getSortKey(ptr) {
+
+	const sortKey = new Array();
+	for (let p = ptr; p.parent; p = p.parent) {
+
+		// collection element
+		if (p.collectionElement) {
+			sortKey.unshift(p.collectionElementIndex);
+			continue;
+		}
+
+		// property
+		const container = p.propDesc.container;
+		sortKey.unshift(container.allPropertyNames.indexOf(p.propDesc.name));
+
+		// polymorphic object subtype property goes under its subtype
+		const parentContainer = container.parentContainer;
+		if (parentContainer && parentContainer.isPolymorphObject()) {
+			const subtypeInd = parentContainer.allPropertyNames.findIndex(
+				propName => {
+					const propDesc = parentContainer.getPropertyDesc(propName);
+					return (
+						propDesc.isSubtype() &&
+							(propDesc.nestedProperties === container));
+				});
+			if (subtypeInd >= 0)
+				sortKey.unshift(subtypeInd);
+		}
+	}
+
+	return sortKey;
+}
+
+/**
+ * Compare sort keys.
+ *
+ * @private
+ * @param {?Array.<(number|string)>} k1 First key, or <code>null</code> if no
+ * key.
+ * @param {?Array.<(number|string)>} k2 Second key, or <code>null</code> if no
+ * key.
+ * @returns {number} Negative, zero or positive number.
+ */
+function compareSortKeys(k1, k2) {
+
+	if (k1 === null || k2 === null)
+		return (k1 === null ? (k2 === null ? 0 : 1) : -1);
+
+	for (let i = 0, len = Math.min(k1.length, k2.length); i < len; i++) {
+		const c1 = k1[i], c2 = k2[i];
+		if (c1 === c2)
+			continue;
+		if ((typeof c1) !== (typeof c2))
+			return ((typeof c1) === 'number' ? -1 : 1);
+		return (c1 < c2 ? -1 : 1);
+	}
+
+	return (k1.length - k2.length);
+}
+
+/**
+ * Get options object from the options argument.
+ *
+ * @private
+ * @param {(string|Object)} [options] Options or the language.
+ * @returns {Object} The options object.
+ */
+function getOptions(options) {
+
+	return (
+		(typeof options) === 'string' ? { lang: options } : (options || {}));
+}
+
+/**
+ * Format validation errors as a flat list.
+ *
+ * @protected
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none.
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or the language.
+ * @returns {Array.<module:x2node-validators~ErrorListItem>} The list.
+ */
+function toList(recordTypes, recordTypeName, errors, options) {
+
+	return buildList(recordTypes, recordTypeName, errors, getOptions(options));
+}
+
+/**
+ * Format validation errors as an RFC 7807 (RFC 9457) problem details object.
+ *
+ * @protected
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none.
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or the language.
+ * @returns {Object} Problem details object.
+ */
+function toProblemDetails(recordTypes, recordTypeName, errors, options) {
+
+	const opts = getOptions(options);
+
+	const problem = {
+		type: (opts.type || 'about:blank'),
+		title: (opts.title || 'Unprocessable Content'),
+		status: (opts.status || 422)
+	};
+	if (opts.detail)
+		problem.detail = opts.detail;
+	if (opts.instance)
+		problem.instance = opts.instance;
+	problem.errors = buildList(recordTypes, recordTypeName, errors, opts).map(
+		e => ({
+			pointer: e.pointer,
+			field: e.field,
+			detail: e.message,
+			code: e.code
+		}));
+
+	return problem;
+}
+
+/**
+ * Format validation errors as a JSON:API errors document.
+ *
+ * @protected
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {?module:x2node-validators~ValidationErrors} errors The errors, or
+ * <code>null</code> if none.
+ * @param {(string|module:x2node-validators~ErrorFormatOptions)} [options]
+ * Formatting options, or the language.
+ * @returns {Object} JSON:API document with <code>errors</code> array.
+ */
+function toJSONAPI(recordTypes, recordTypeName, errors, options) {
+
+	const opts = getOptions(options);
+	const status = String(opts.status || 422);
+
+	return {
+		errors: buildList(recordTypes, recordTypeName, errors, opts).map(e => {
+			const error = {
+				status: status
+			};
+			if (e.code !== null)
+				error.code = e.code;
+			error.detail = e.message;
+			error.source = {
+				pointer: e.pointer
+			};
+			if (e.field !== null)
+				error.meta = {
+					field: e.field
+				};
+			return error;
+		})
+	};
+}
+
+// export the formatters
+exports.toList = toList;
+exports.toProblemDetails = toProblemDetails;
+exports.toJSONAPI = toJSONAPI;
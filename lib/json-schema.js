@@ -0,0 +1,397 @@
+'use strict';
+
+const recordNormalizer = require('./record-normalizer.js');
+const normalizationPlan = require('./normalization-plan.js');
+
+
+/**
+ * JSON Schema dialect of the generated schemas.
+ *
+ * @private
+ * @constant {string}
+ */
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Name of the extension keyword used for validators that do not have a JSON
+ * Schema equivalent.
+ *
+ * @private
+ * @constant {string}
+ */
+const VALIDATORS_KEYWORD = 'x-validators';
+
+/**
+ * Name of the extension keyword used for the polymorphic object type property
+ * (same as the "discriminator" keyword in OpenAPI, which is not part of JSON
+ * Schema).
+ *
+ * @private
+ * @constant {string}
+ */
+const DISCRIMINATOR_KEYWORD = 'x-discriminator';
+
+/**
+ * Ids of the standard normalizers, which do not perform any validation and are
+ * not reflected in the schema.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const NORMALIZERS = new Set([
+	'trim', 'dropEmptyString', 'lowercase', 'uppercase', 'precision'
+]);
+
+
+/**
+ * Generate [JSON Schema]{@link https://json-schema.org/} (draft 2020-12) for
+ * the record type. Standard validators are mapped to their JSON Schema
+ * equivalents where there is one. Other validators are listed in the
+ * "x-validators" extension keyword.
+ *
+ * @function module:x2node-validators.generateJSONSchema
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {string} [validationSets] Comma-separated validation set names. If not
+ * provided, the default validation set is used.
+ * @returns {Object} The JSON Schema.
+ * @throws {module:x2node-common.X2UsageError} If unknown record type.
+ */
+function generate(recordTypes, recordTypeName, validationSets) {
+
+	// get the record type descriptor (or throw error if invalid record type)
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// extract validation sets
+	const sets = normalizationPlan.getPlanSets(
+		recordTypes, recordNormalizer.parseValidationSets(validationSets));
+
+	// build the schema
+	const schema = {
+		'$schema': SCHEMA_DIALECT
+	};
+	addTitle(schema, recordTypeDesc);
+	Object.assign(schema, getContainerSchema(recordTypeDesc, sets));
+	applyValidators(
+		schema,
+		normalizationPlan.getContainerPlan(recordTypeDesc, sets).validators);
+
+	// return the schema
+	return schema;
+}
+
+/**
+ * Build schema for a properties container.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * descriptor.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @param {boolean} [subtype] <code>true</code> if polymorphic object subtype
+ * container.
+ * @returns {Object} The schema.
+ */
+function getContainerSchema(container, validationSets, subtype) {
+
+	// build the properties
+	const schema = {
+		type: 'object',
+		properties: new Object()
+	};
+	const required = new Array();
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isView() || propDesc.isSubtype())
+			continue;
+		const propSchema = new Object();
+		addTitle(propSchema, propDesc);
+		if (addPropertySchema(propSchema, propDesc, validationSets))
+			required.push(propName);
+		else
+			allowNull(propSchema);
+		if (propDesc.readOnly || propDesc.isGenerated() ||
+			propDesc.isRecordMetaInfo())
+			propSchema.readOnly = true;
+		schema.properties[propName] = propSchema;
+	}
+
+	// add subtypes if polymorphic object
+	if (container.isPolymorphObject()) {
+		const typePropName = container.typePropertyName;
+		schema.properties[typePropName] = {
+			type: 'string',
+			enum: Array.from(container.subtypes)
+		};
+		required.unshift(typePropName);
+		schema.oneOf = container.subtypes.map(subtypeName => {
+			const subtypeDesc = container.getPropertyDesc(subtypeName);
+			const subtypeSchema = getContainerSchema(
+				subtypeDesc.nestedProperties, validationSets, true);
+			subtypeSchema.properties[typePropName] = { const: subtypeName };
+			subtypeSchema.required = [ typePropName ].concat(
+				subtypeSchema.required || []);
+			applyValidators(
+				subtypeSchema,
+				normalizationPlan.getPropertyPlan(
+					subtypeDesc, validationSets).validators);
+			return subtypeSchema;
+		});
+		schema[DISCRIMINATOR_KEYWORD] = {
+			propertyName: typePropName
+		};
+	}
+
+	// add required properties
+	if (required.length > 0)
+		schema.required = required;
+
+	// disallow unknown properties (subtype schemas are only parts of the object)
+	if ((container.unknownProperties === 'reject') && !subtype)
+		schema.unevaluatedProperties = false;
+
+	// return the schema
+	return schema;
+}
+
+/**
+ * Add schema keywords for a property to the property schema.
+ *
+ * @private
+ * @param {Object} schema The property schema.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {boolean} <code>true</code> if the property is required.
+ */
+function addPropertySchema(schema, propDesc, validationSets) {
+
+	const plan = normalizationPlan.getPropertyPlan(propDesc, validationSets);
+
+	if (propDesc.isArray()) {
+		schema.type = 'array';
+		schema.items = getValueSchema(propDesc, validationSets);
+		applyValidators(schema.items, plan.elementValidators);
+	} else if (propDesc.isMap()) {
+		schema.type = 'object';
+		schema.additionalProperties = getValueSchema(propDesc, validationSets);
+		applyValidators(schema.additionalProperties, plan.elementValidators);
+	} else {
+		Object.assign(schema, getValueSchema(propDesc, validationSets));
+	}
+
+	return applyValidators(schema, plan.validators);
+}
+
+/**
+ * Make an optional property schema accept <code>null</code>, which, same as
+ * no value, means that the property is absent.
+ *
+ * @private
+ * @param {Object} schema The property schema.
+ */
+function allowNull(schema) {
+
+	if (schema.type)
+		schema.type = [ schema.type, 'null' ];
+	if (schema.enum && !schema.enum.includes(null))
+		schema.enum = schema.enum.concat([ null ]);
+	if (schema.oneOf)
+		schema.oneOf = schema.oneOf.concat([ { type: 'null' } ]);
+}
+
+/**
+ * Build schema for a single property value (or a collection element).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {Object} The schema.
+ */
+function getValueSchema(propDesc, validationSets) {
+
+	switch (propDesc.scalarValueType) {
+	case 'string':
+		return { type: 'string' };
+	case 'number':
+		return { type: 'number' };
+	case 'boolean':
+		return { type: 'boolean' };
+	case 'datetime':
+		return { type: 'string', format: 'date-time' };
+	case 'ref':
+		return getRefSchema(propDesc.refTarget);
+	case 'object':
+		if (propDesc.isPolymorphRef()) {
+			const schema = {
+				type: 'object',
+				properties: new Object(),
+				minProperties: 1,
+				maxProperties: 1
+			};
+			for (let refTarget of propDesc.nestedProperties.allPropertyNames)
+				schema.properties[refTarget] = getRefSchema(refTarget);
+			return schema;
+		}
+		return getContainerSchema(propDesc.nestedProperties, validationSets);
+	}
+
+	return new Object();
+}
+
+/**
+ * Build schema for a reference value.
+ *
+ * @private
+ * @param {string} refTarget Reference target record type name.
+ * @returns {Object} The schema.
+ */
+function getRefSchema(refTarget) {
+
+	return {
+		type: 'string',
+		pattern: '^' + refTarget.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '#.+'
+	};
+}
+
+/**
+ * Add schema keywords for the validators to the schema.
+ *
+ * @private
+ * @param {Object} schema The schema of the validated value.
+ * @param {?Array.<module:x2node-validators.curriedValidator>} validators The
+ * validators, or <code>null</code> if none.
+ * @returns {boolean} <code>true</code> if the validators include "required".
+ */
+function applyValidators(schema, validators) {
+
+	if (!validators)
+		return false;
+
+	let required = false;
+	const extensions = new Array();
+	for (let validator of validators) {
+		const params = (validator.validatorParams || []);
+		const array = (schema.type === 'array');
+		const numeric = params.every(p => ((typeof p) === 'number'));
+		switch (validator.validatorId) {
+		case 'required':
+			required = true;
+			if (array)
+				schema.minItems = Math.max(schema.minItems || 0, 1);
+			else if (schema.additionalProperties)
+				schema.minProperties = 1;
+			break;
+		case 'string':
+		case 'number':
+		case 'boolean':
+		case 'object':
+		case 'array':
+		case 'ref':
+			break;
+		case 'integer':
+			if (schema.type === 'number')
+				schema.type = 'integer';
+			break;
+		case 'maxLength':
+			schema[array ? 'maxItems' : 'maxLength'] = params[0];
+			break;
+		case 'minLength':
+			schema[array ? 'minItems' : 'minLength'] = params[0];
+			break;
+		case 'max':
+			if (!numeric)
+				extensions.push(describeValidator(validator));
+			else
+				schema.maximum = params[0];
+			break;
+		case 'min':
+			if (!numeric)
+				extensions.push(describeValidator(validator));
+			else
+				schema.minimum = params[0];
+			break;
+		case 'range':
+			if (!numeric) {
+				extensions.push(describeValidator(validator));
+			} else {
+				schema.minimum = params[0];
+				schema.maximum = params[1];
+			}
+			break;
+		case 'pattern':
+			if (!(params[0] instanceof RegExp))
+				schema.pattern = String(params[0]);
+			else if (!params[0].flags)
+				schema.pattern = params[0].source;
+			else
+				extensions.push(describeValidator(validator));
+			break;
+		case 'oneOf':
+			schema.enum = Array.from(
+				Array.isArray(params[0]) ? params[0] : params);
+			break;
+		case 'email':
+			schema.format = 'email';
+			break;
+		case 'date':
+			schema.format = 'date';
+			break;
+		case 'datetime':
+			schema.format = 'date-time';
+			break;
+		case 'noDupes':
+			schema.uniqueItems = true;
+			break;
+		default:
+			if (!NORMALIZERS.has(validator.validatorId))
+				extensions.push(describeValidator(validator));
+		}
+	}
+
+	if (extensions.length > 0)
+		schema[VALIDATORS_KEYWORD] = (schema[VALIDATORS_KEYWORD] || []).concat(
+			extensions);
+
+	return required;
+}
+
+/**
+ * Describe validator without a JSON Schema equivalent for the extension
+ * keyword.
+ *
+ * @private
+ * @param {module:x2node-validators.curriedValidator} validator The validator.
+ * @returns {Object} Validator description with validator id (<code>null</code>
+ * for anonymous validators) and, if any, parameters.
+ */
+function describeValidator(validator) {
+
+	const desc = {
+		id: validator.validatorId
+	};
+	if (validator.validatorParams)
+		desc.params = validator.validatorParams.map(
+			p => (p instanceof RegExp ? String(p) : p));
+
+	return desc;
+}
+
+/**
+ * Add title to the schema if the descriptor's definition has a non-localized
+ * title.
+ *
+ * @private
+ * @param {Object} schema The schema.
+ * @param {(module:x2node-records~RecordTypeDescriptor|module:x2node-records~PropertyDescriptor)} desc
+ * The descriptor.
+ */
+function addTitle(schema, desc) {
+
+	if ((typeof desc.definition.title) === 'string')
+		schema.title = desc.definition.title;
+}
+
+// export the generator function
+exports.generate = generate;
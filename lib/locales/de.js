@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * German translations of the standard validation error messages.
+ *
+ * @protected
+ * @type {Object.<string,string>}
+ */
+module.exports = {
+	'*': 'Ungültig.',
+	'missing': 'Fehlender Wert.',
+	'invalidType': 'Fehlender oder ungültiger Typ.',
+	'notEmpty': 'Muss leer sein.',
+	'unknownProperty': 'Unbekannte Eigenschaft.',
+	'invalidValueType': 'Ungültiger Werttyp ${actual}, erwartet ${expected}.',
+	'invalidValue': 'Ungültiger Wert.',
+	'invalidFormat': 'Ungültiges Format.',
+	'invalidNumber': 'Keine Zahl.',
+	'invalidInteger': 'Keine ganze Zahl.',
+	'invalidDatetime': 'Ungültiges Datum mit Uhrzeit.',
+	'invalidRefTarget': 'Ungültiges Referenzziel ${actual}, erwartet ${expected}.',
+	'invalidRefTargetPoly': 'Ungültiges Referenzziel ${actual}, erwartet eines von: ${expected}.',
+	'invalidRefTargetIdNumber': 'Ungültige Datensatz-ID ${value}, erwartet eine Zahl.',
+	'invalidPattern': 'Entspricht nicht dem Muster.',
+	'notArray': 'Keine Liste.',
+	'duplicates': 'Enthält Duplikate.',
+	'tooLong': 'Zu lang.',
+	'tooShort': 'Zu kurz.',
+	'tooLarge': 'Zu groß.',
+	'tooSmall': 'Zu klein.',
+	'outOfRange': 'Außerhalb des zulässigen Bereichs.',
+	'invalidEmail': 'Ungültige E-Mail-Adresse.',
+	'invalidDate': 'Ungültiges Datum.',
+	'invalidTime': 'Ungültige Uhrzeit.',
+	'invalidTimeGranularity': 'Muss auf ${granularity} Minuten ausgerichtet sein.',
+	'invalidWeekday': 'Ungültiger Wochentag.',
+	'invalidCCNumber': 'Ungültige Kreditkartennummer.',
+	'invalidBankRoutingNumber': 'Ungültige Bankleitzahl.',
+	'invalidUSState': 'Ungültiger Bundesstaat.',
+	'invalidUSZip': 'Ungültige Postleitzahl.',
+	'invalidUSPhone': 'Ungültige Telefonnummer.',
+	'invalidRangeDef': 'Muss größer als ${rangeLoName} sein.',
+	'missingWhen': 'Erforderlich zusammen mit ${prop}.',
+	'missingWhenNot': 'Erforderlich, wenn ${prop} leer ist.',
+	'missingWhenValue': 'Erforderlich, wenn ${prop} ${value} ist.',
+	'missingWhenNotValue': 'Erforderlich, wenn ${prop} nicht ${value} ist.',
+	'missingWhenPattern': 'Erforderlich, wenn ${prop} den angegebenen Wert hat.',
+	'missingWhenNotPattern': 'Erforderlich, wenn ${prop} den angegebenen Wert hat.',
+	'notEmptyWhen': 'Muss zusammen mit ${prop} leer sein.',
+	'notEmptyWhenNot': 'Muss leer sein, wenn ${prop} leer ist.',
+	'notEmptyWhenValue': 'Muss leer sein, wenn ${prop} ${value} ist.',
+	'notEmptyWhenNotValue': 'Muss leer sein, wenn ${prop} nicht ${value} ist.',
+	'notEmptyWhenPattern': 'Muss leer sein, wenn ${prop} den angegebenen Wert hat.',
+	'notEmptyWhenNotPattern': 'Muss leer sein, wenn ${prop} den angegebenen Wert hat.',
+	'invalidPatchOperation': 'Ungültige Patch-Operation.',
+	'invalidPointer': 'Ungültiger Zeiger.',
+	'invalidPatchFrom': 'Inkompatible Quellposition.',
+	'notModifiable': 'Darf nicht geändert werden.',
+	'notRemovable': 'Darf nicht entfernt werden.',
+	'readOnly': 'Darf nicht angegeben werden.',
+	'invalidNumberString': 'Keine gültige Zahl.',
+	'invalidBooleanString': 'Kein gültiger boolescher Wert.',
+	'invalidEpoch': 'Zeitstempel außerhalb des zulässigen Bereichs.',
+	'notUnique': 'Bereits von einem anderen Datensatz verwendet.',
+	'refTargetNotFound': 'Der referenzierte Datensatz ${ref} existiert nicht.'
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Spanish translations of the standard validation error messages.
+ *
+ * @protected
+ * @type {Object.<string,string>}
+ */
+module.exports = {
+	'*': 'No válido.',
+	'missing': 'Falta el valor.',
+	'invalidType': 'Tipo ausente o no válido.',
+	'notEmpty': 'Debe estar vacío.',
+	'unknownProperty': 'Propiedad desconocida.',
+	'invalidValueType': 'Tipo de valor ${actual} no válido, se esperaba ${expected}.',
+	'invalidValue': 'Valor no válido.',
+	'invalidFormat': 'Formato no válido.',
+	'invalidNumber': 'No es un número.',
+	'invalidInteger': 'No es un número entero.',
+	'invalidDatetime': 'Fecha y hora no válidas.',
+	'invalidRefTarget': 'Destino de referencia ${actual} no válido, se esperaba ${expected}.',
+	'invalidRefTargetPoly': 'Destino de referencia ${actual} no válido, se esperaba uno de: ${expected}.',
+	'invalidRefTargetIdNumber': 'Identificador de registro ${value} no válido, se esperaba un número.',
+	'invalidPattern': 'No coincide con el patrón.',
+	'notArray': 'No es una lista.',
+	'duplicates': 'Contiene duplicados.',
+	'tooLong': 'Demasiado largo.',
+	'tooShort': 'Demasiado corto.',
+	'tooLarge': 'Demasiado grande.',
+	'tooSmall': 'Demasiado pequeño.',
+	'outOfRange': 'Fuera de rango.',
+	'invalidEmail': 'Dirección de correo electrónico no válida.',
+	'invalidDate': 'Fecha no válida.',
+	'invalidTime': 'Hora no válida.',
+	'invalidTimeGranularity': 'Debe estar alineado a ${granularity} minutos.',
+	'invalidWeekday': 'Día de la semana no válido.',
+	'invalidCCNumber': 'Número de tarjeta de crédito no válido.',
+	'invalidBankRoutingNumber': 'Número de ruta bancaria no válido.',
+	'invalidUSState': 'Estado no válido.',
+	'invalidUSZip': 'Código postal no válido.',
+	'invalidUSPhone': 'Número de teléfono no válido.',
+	'invalidRangeDef': 'Debe ser mayor que ${rangeLoName}.',
+	'missingWhen': 'Obligatorio junto con ${prop}.',
+	'missingWhenNot': 'Obligatorio cuando ${prop} está vacío.',
+	'missingWhenValue': 'Obligatorio cuando ${prop} es ${value}.',
+	'missingWhenNotValue': 'Obligatorio cuando ${prop} no es ${value}.',
+	'missingWhenPattern': 'Obligatorio cuando ${prop} tiene el valor indicado.',
+	'missingWhenNotPattern': 'Obligatorio cuando ${prop} tiene el valor indicado.',
+	'notEmptyWhen': 'Debe estar vacío junto con ${prop}.',
+	'notEmptyWhenNot': 'Debe estar vacío cuando ${prop} está vacío.',
+	'notEmptyWhenValue': 'Debe estar vacío cuando ${prop} es ${value}.',
+	'notEmptyWhenNotValue': 'Debe estar vacío cuando ${prop} no es ${value}.',
+	'notEmptyWhenPattern': 'Debe estar vacío cuando ${prop} tiene el valor indicado.',
+	'notEmptyWhenNotPattern': 'Debe estar vacío cuando ${prop} tiene el valor indicado.',
+	'invalidPatchOperation': 'Operación de parche no válida.',
+	'invalidPointer': 'Puntero no válido.',
+	'invalidPatchFrom': 'Ubicación de origen incompatible.',
+	'notModifiable': 'No se puede modificar.',
+	'notRemovable': 'No se puede eliminar.',
+	'readOnly': 'No se puede especificar.',
+	'invalidNumberString': 'No es un número válido.',
+	'invalidBooleanString': 'No es un valor booleano válido.',
+	'invalidEpoch': 'La marca de tiempo está fuera de rango.',
+	'notUnique': 'Ya está en uso por otro registro.',
+	'refTargetNotFound': 'El registro referido ${ref} no existe.'
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * French translations of the standard validation error messages.
+ *
+ * @protected
+ * @type {Object.<string,string>}
+ */
+module.exports = {
+	'*': 'Non valide.',
+	'missing': 'Valeur manquante.',
+	'invalidType': 'Type manquant ou non valide.',
+	'notEmpty': 'Doit être vide.',
+	'unknownProperty': 'Propriété inconnue.',
+	'invalidValueType': 'Type de valeur ${actual} non valide, ${expected} attendu.',
+	'invalidValue': 'Valeur non valide.',
+	'invalidFormat': 'Format non valide.',
+	'invalidNumber': 'N\'est pas un nombre.',
+	'invalidInteger': 'N\'est pas un nombre entier.',
+	'invalidDatetime': 'Date et heure non valides.',
+	'invalidRefTarget': 'Cible de référence ${actual} non valide, ${expected} attendu.',
+	'invalidRefTargetPoly': 'Cible de référence ${actual} non valide, attendu l\'un de : ${expected}.',
+	'invalidRefTargetIdNumber': 'Identifiant d\'enregistrement ${value} non valide, un nombre est attendu.',
+	'invalidPattern': 'Ne correspond pas au motif.',
+	'notArray': 'N\'est pas une liste.',
+	'duplicates': 'Contient des doublons.',
+	'tooLong': 'Trop long.',
+	'tooShort': 'Trop court.',
+	'tooLarge': 'Trop grand.',
+	'tooSmall': 'Trop petit.',
+	'outOfRange': 'Hors limites.',
+	'invalidEmail': 'Adresse e-mail non valide.',
+	'invalidDate': 'Date non valide.',
+	'invalidTime': 'Heure non valide.',
+	'invalidTimeGranularity': 'Doit être aligné sur ${granularity} minutes.',
+	'invalidWeekday': 'Jour de la semaine non valide.',
+	'invalidCCNumber': 'Numéro de carte de crédit non valide.',
+	'invalidBankRoutingNumber': 'Code d\'acheminement bancaire non valide.',
+	'invalidUSState': 'État non valide.',
+	'invalidUSZip': 'Code postal non valide.',
+	'invalidUSPhone': 'Numéro de téléphone non valide.',
+	'invalidRangeDef': 'Doit être supérieur à ${rangeLoName}.',
+	'missingWhen': 'Obligatoire avec ${prop}.',
+	'missingWhenNot': 'Obligatoire lorsque ${prop} est vide.',
+	'missingWhenValue': 'Obligatoire lorsque ${prop} vaut ${value}.',
+	'missingWhenNotValue': 'Obligatoire lorsque ${prop} ne vaut pas ${value}.',
+	'missingWhenPattern': 'Obligatoire lorsque ${prop} a la valeur fournie.',
+	'missingWhenNotPattern': 'Obligatoire lorsque ${prop} a la valeur fournie.',
+	'notEmptyWhen': 'Doit être vide avec ${prop}.',
+	'notEmptyWhenNot': 'Doit être vide lorsque ${prop} est vide.',
+	'notEmptyWhenValue': 'Doit être vide lorsque ${prop} vaut ${value}.',
+	'notEmptyWhenNotValue': 'Doit être vide lorsque ${prop} ne vaut pas ${value}.',
+	'notEmptyWhenPattern': 'Doit être vide lorsque ${prop} a la valeur fournie.',
+	'notEmptyWhenNotPattern': 'Doit être vide lorsque ${prop} a la valeur fournie.',
+	'invalidPatchOperation': 'Opération de patch non valide.',
+	'invalidPointer': 'Pointeur non valide.',
+	'invalidPatchFrom': 'Emplacement source incompatible.',
+	'notModifiable': 'Ne peut pas être modifié.',
+	'notRemovable': 'Ne peut pas être supprimé.',
+	'readOnly': 'Ne peut pas être spécifié.',
+	'invalidNumberString': 'N\'est pas un nombre valide.',
+	'invalidBooleanString': 'N\'est pas une valeur booléenne valide.',
+	'invalidEpoch': 'L\'horodatage est hors limites.',
+	'notUnique': 'Déjà utilisé par un autre enregistrement.',
+	'refTargetNotFound': 'L\'enregistrement référencé ${ref} n\'existe pas.'
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Bundled translations of the standard validation error messages by language
+ * tags. Each value maps standard message ids to message templates.
+ *
+ * @protected
+ * @type {Object.<string,Object.<string,string>>}
+ */
+module.exports = {
+	'de': require('./de.js'),
+	'es': require('./es.js'),
+	'fr': require('./fr.js'),
+	'pt': require('./pt.js'),
+	'ru': require('./ru.js')
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Portuguese translations of the standard validation error messages.
+ *
+ * @protected
+ * @type {Object.<string,string>}
+ */
+module.exports = {
+	'*': 'Inválido.',
+	'missing': 'Valor ausente.',
+	'invalidType': 'Tipo ausente ou inválido.',
+	'notEmpty': 'Deve estar vazio.',
+	'unknownProperty': 'Propriedade desconhecida.',
+	'invalidValueType': 'Tipo de valor ${actual} inválido, esperado ${expected}.',
+	'invalidValue': 'Valor inválido.',
+	'invalidFormat': 'Formato inválido.',
+	'invalidNumber': 'Não é um número.',
+	'invalidInteger': 'Não é um número inteiro.',
+	'invalidDatetime': 'Data e hora inválidas.',
+	'invalidRefTarget': 'Destino de referência ${actual} inválido, esperado ${expected}.',
+	'invalidRefTargetPoly': 'Destino de referência ${actual} inválido, esperado um de: ${expected}.',
+	'invalidRefTargetIdNumber': 'Identificador de registro ${value} inválido, esperado um número.',
+	'invalidPattern': 'Não corresponde ao padrão.',
+	'notArray': 'Não é uma lista.',
+	'duplicates': 'Contém duplicatas.',
+	'tooLong': 'Muito longo.',
+	'tooShort': 'Muito curto.',
+	'tooLarge': 'Muito grande.',
+	'tooSmall': 'Muito pequeno.',
+	'outOfRange': 'Fora do intervalo.',
+	'invalidEmail': 'Endereço de e-mail inválido.',
+	'invalidDate': 'Data inválida.',
+	'invalidTime': 'Hora inválida.',
+	'invalidTimeGranularity': 'Deve estar alinhado a ${granularity} minutos.',
+	'invalidWeekday': 'Dia da semana inválido.',
+	'invalidCCNumber': 'Número de cartão de crédito inválido.',
+	'invalidBankRoutingNumber': 'Número de roteamento bancário inválido.',
+	'invalidUSState': 'Estado inválido.',
+	'invalidUSZip': 'Código postal inválido.',
+	'invalidUSPhone': 'Número de telefone inválido.',
+	'invalidRangeDef': 'Deve ser maior que ${rangeLoName}.',
+	'missingWhen': 'Obrigatório junto com ${prop}.',
+	'missingWhenNot': 'Obrigatório quando ${prop} está vazio.',
+	'missingWhenValue': 'Obrigatório quando ${prop} é ${value}.',
+	'missingWhenNotValue': 'Obrigatório quando ${prop} não é ${value}.',
+	'missingWhenPattern': 'Obrigatório quando ${prop} tem o valor informado.',
+	'missingWhenNotPattern': 'Obrigatório quando ${prop} tem o valor informado.',
+	'notEmptyWhen': 'Deve estar vazio junto com ${prop}.',
+	'notEmptyWhenNot': 'Deve estar vazio quando ${prop} está vazio.',
+	'notEmptyWhenValue': 'Deve estar vazio quando ${prop} é ${value}.',
+	'notEmptyWhenNotValue': 'Deve estar vazio quando ${prop} não é ${value}.',
+	'notEmptyWhenPattern': 'Deve estar vazio quando ${prop} tem o valor informado.',
+	'notEmptyWhenNotPattern': 'Deve estar vazio quando ${prop} tem o valor informado.',
+	'invalidPatchOperation': 'Operação de patch inválida.',
+	'invalidPointer': 'Ponteiro inválido.',
+	'invalidPatchFrom': 'Local de origem incompatível.',
+	'notModifiable': 'Não pode ser modificado.',
+	'notRemovable': 'Não pode ser removido.',
+	'readOnly': 'Não pode ser especificado.',
+	'invalidNumberString': 'Não é um número válido.',
+	'invalidBooleanString': 'Não é um valor booleano válido.',
+	'invalidEpoch': 'O carimbo de data/hora está fora do intervalo.',
+	'notUnique': 'Já utilizado por outro registro.',
+	'refTargetNotFound': 'O registro referido ${ref} não existe.'
+};
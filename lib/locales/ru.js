@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Russian translations of the standard validation error messages.
+ *
+ * @protected
+ * @type {Object.<string,string>}
+ */
+module.exports = {
+	'*': 'Недопустимо.',
+	'missing': 'Отсутствует значение.',
+	'invalidType': 'Тип отсутствует или недопустим.',
+	'notEmpty': 'Должно быть пустым.',
+	'unknownProperty': 'Неизвестное свойство.',
+	'invalidValueType': 'Недопустимый тип значения ${actual}, ожидается ${expected}.',
+	'invalidValue': 'Недопустимое значение.',
+	'invalidFormat': 'Недопустимый формат.',
+	'invalidNumber': 'Не число.',
+	'invalidInteger': 'Не целое число.',
+	'invalidDatetime': 'Недопустимые дата и время.',
+	'invalidRefTarget': 'Недопустимая цель ссылки ${actual}, ожидается ${expected}.',
+	'invalidRefTargetPoly': 'Недопустимая цель ссылки ${actual}, ожидается одна из: ${expected}.',
+	'invalidRefTargetIdNumber': 'Недопустимый идентификатор записи ${value}, ожидается число.',
+	'invalidPattern': 'Не соответствует шаблону.',
+	'notArray': 'Не является списком.',
+	'duplicates': 'Содержит повторяющиеся значения.',
+	'tooLong': 'Слишком длинное.',
+	'tooShort': 'Слишком короткое.',
+	'tooLarge': 'Слишком большое.',
+	'tooSmall': 'Слишком маленькое.',
+	'outOfRange': 'Вне допустимого диапазона.',
+	'invalidEmail': 'Недопустимый адрес электронной почты.',
+	'invalidDate': 'Недопустимая дата.',
+	'invalidTime': 'Недопустимое время.',
+	'invalidTimeGranularity': 'Должно быть кратно ${granularity} минутам.',
+	'invalidWeekday': 'Недопустимый день недели.',
+	'invalidCCNumber': 'Недопустимый номер кредитной карты.',
+	'invalidBankRoutingNumber': 'Недопустимый банковский маршрутный номер.',
+	'invalidUSState': 'Недопустимый штат.',
+	'invalidUSZip': 'Недопустимый почтовый индекс.',
+	'invalidUSPhone': 'Недопустимый номер телефона.',
+	'invalidRangeDef': 'Должно быть больше, чем ${rangeLoName}.',
+	'missingWhen': 'Обязательно вместе с ${prop}.',
+	'missingWhenNot': 'Обязательно, если ${prop} пусто.',
+	'missingWhenValue': 'Обязательно, если ${prop} равно ${value}.',
+	'missingWhenNotValue': 'Обязательно, если ${prop} не равно ${value}.',
+	'missingWhenPattern': 'Обязательно, если ${prop} имеет указанное значение.',
+	'missingWhenNotPattern': 'Обязательно, если ${prop} имеет указанное значение.',
+	'notEmptyWhen': 'Должно быть пустым вместе с ${prop}.',
+	'notEmptyWhenNot': 'Должно быть пустым, если ${prop} пусто.',
+	'notEmptyWhenValue': 'Должно быть пустым, если ${prop} равно ${value}.',
+	'notEmptyWhenNotValue': 'Должно быть пустым, если ${prop} не равно ${value}.',
+	'notEmptyWhenPattern': 'Должно быть пустым, если ${prop} имеет указанное значение.',
+	'notEmptyWhenNotPattern': 'Должно быть пустым, если ${prop} имеет указанное значение.',
+	'invalidPatchOperation': 'Недопустимая операция изменения.',
+	'invalidPointer': 'Недопустимый указатель.',
+	'invalidPatchFrom': 'Несовместимое исходное расположение.',
+	'notModifiable': 'Не может быть изменено.',
+	'notRemovable': 'Не может быть удалено.',
+	'readOnly': 'Не может быть указано.',
+	'invalidNumberString': 'Недопустимое число.',
+	'invalidBooleanString': 'Недопустимое логическое значение.',
+	'invalidEpoch': 'Отметка времени вне допустимого диапазона.',
+	'notUnique': 'Уже используется другой записью.',
+	'refTargetNotFound': 'Указанная запись ${ref} не существует.'
+};
@@ -0,0 +1,409 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const common = require('x2node-common');
+
+
+/**
+ * Catalog entry key used for the title of a record type or property.
+ *
+ * @private
+ * @constant {string}
+ */
+const TITLE_KEY = '@title';
+
+/**
+ * Loaded message catalog.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-validators~MessageCatalog
+ * @property {?string} file Path of the file, from which the catalog was loaded,
+ * or <code>null</code> if the catalog was provided as an object.
+ * @property {string} lang Language code of the catalog translations.
+ * @property {Object.<string,Object.<string,string>>} scopes Translations by
+ * scopes. The scope is empty string for the whole library, record type name for
+ * a record type, and record type name and property path separated with a colon
+ * for a property. The values are objects with message ids, or "@title" for the
+ * title, as keys and the translations as values.
+ */
+
+/**
+ * Load message catalogs.
+ *
+ * @protected
+ * @param {(string|Object|Array.<(string|Object)>)} sources Catalog file paths
+ * (JSON or gettext ".po" files) or catalog objects with the same structure as
+ * the JSON catalog files.
+ * @returns {Array.<module:x2node-validators~MessageCatalog>} Loaded catalogs.
+ * @throws {module:x2node-common.X2UsageError} If a catalog cannot be read or
+ * is invalid.
+ */
+function loadCatalogs(sources) {
+
+	return (Array.isArray(sources) ? sources : [ sources ]).map(source => {
+
+		if ((typeof source) !== 'string')
+			return parseJSONCatalog(source, null);
+
+		let text;
+		try {
+			text = fs.readFileSync(source, 'utf8');
+		} catch (err) {
+			throw new common.X2UsageError(
+				'Could not read message catalog ' + source + ': ' +
+					err.message);
+		}
+
+		if (path.extname(source).toLowerCase() === '.po')
+			return parsePOCatalog(text, source);
+
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (err) {
+			throw new common.X2UsageError(
+				'Invalid message catalog ' + source + ': ' + err.message);
+		}
+
+		return parseJSONCatalog(data, source);
+	});
+}
+
+/**
+ * Parse JSON message catalog. The catalog object has <code>language</code>
+ * property with the language code and <code>messages</code> property with the
+ * translations by scopes.
+ *
+ * @private
+ * @param {Object} data Catalog object.
+ * @param {?string} file Catalog file path for error messages.
+ * @returns {module:x2node-validators~MessageCatalog} The catalog.
+ * @throws {module:x2node-common.X2UsageError} If the catalog is invalid.
+ */
+function parseJSONCatalog(data, file) {
+
+	const invalid = msg => new common.X2UsageError(
+		'Invalid message catalog' + (file ? ' ' + file : '') + ': ' + msg);
+
+	if ((data === null) || ((typeof data) !== 'object'))
+		throw invalid('expected an object.');
+	if (((typeof data.language) !== 'string') || !data.language.length)
+		throw invalid('missing language.');
+
+	const scopes = new Object();
+	const messages = (data.messages || {});
+	for (let scope in messages) {
+		const scopeMessages = messages[scope];
+		if ((scopeMessages === null) || ((typeof scopeMessages) !== 'object'))
+			throw invalid('expected an object for scope "' + scope + '".');
+		scopes[scope] = new Object();
+		for (let key in scopeMessages) {
+			const text = scopeMessages[key];
+			if ((typeof text) !== 'string')
+				throw invalid(
+					'expected a string for "' + key + '" in scope "' + scope +
+						'".');
+			if (text.length > 0)
+				scopes[scope][key] = text;
+		}
+	}
+
+	return {
+		file: file,
+		lang: data.language,
+		scopes: scopes
+	};
+}
+
+/**
+ * Parse gettext ".po" message catalog. The entry's <code>msgctxt</code> is the
+ * scope, the <code>msgid</code> is the message id or "@title", and the
+ * <code>msgstr</code> is the translation. The language is taken from the
+ * "Language" header field. Fuzzy and untranslated entries are ignored.
+ *
+ * @private
+ * @param {string} text Catalog file contents.
+ * @param {string} file Catalog file path for error messages.
+ * @returns {module:x2node-validators~MessageCatalog} The catalog.
+ * @throws {module:x2node-common.X2UsageError} If the catalog is invalid.
+ */
+function parsePOCatalog(text, file) {
+
+	const scopes = new Object();
+	let lang = null;
+
+	let entry = null, field = null, fuzzy = false;
+	const endEntry = () => {
+		if (!entry || (entry.msgid === undefined))
+			return;
+		if ((entry.msgid === '') && (entry.msgctxt === undefined)) {
+			const m = /^Language:\s*(\S+)\s*$/m.exec(entry.msgstr || '');
+			if (m)
+				lang = m[1];
+		} else if (!entry.fuzzy && !entry.plural && entry.msgstr) {
+			const scope = (entry.msgctxt || '');
+			if (!scopes[scope])
+				scopes[scope] = new Object();
+			scopes[scope][entry.msgid] = entry.msgstr;
+		}
+		entry = null;
+	};
+
+	const lines = text.split(/\r?\n/);
+	for (let i = 0, len = lines.length; i < len; i++) {
+		const line = lines[i].trim();
+		const invalid = () => new common.X2UsageError(
+			'Invalid message catalog ' + file + ': syntax error on line ' +
+				(i + 1) + '.');
+
+		if (line.length === 0) {
+			endEntry();
+			continue;
+		}
+		if (line.charAt(0) === '#') {
+			if (/^#,.*\bfuzzy\b/.test(line))
+				fuzzy = true;
+			continue;
+		}
+
+		const m = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(".*")$/
+			.exec(line);
+		if (m) {
+			const keyword = m[1];
+			if ((keyword === 'msgctxt') ||
+				((keyword === 'msgid') && entry && (entry.msgid !== undefined)))
+				endEntry();
+			if (!entry) {
+				entry = { fuzzy: fuzzy };
+				fuzzy = false;
+			}
+			if (keyword === 'msgid_plural') {
+				entry.plural = true;
+				field = null;
+			} else if (/^msgstr\[/.test(keyword)) {
+				field = null;
+			} else {
+				field = keyword;
+				entry[field] = '';
+			}
+			if (field)
+				entry[field] += unquote(m[2], invalid);
+		} else if (line.charAt(0) === '"') {
+			if (!entry)
+				throw invalid();
+			if (field)
+				entry[field] += unquote(line, invalid);
+		} else {
+			throw invalid();
+		}
+	}
+	endEntry();
+
+	if (!lang)
+		throw new common.X2UsageError(
+			'Invalid message catalog ' + file + ': missing Language header.');
+
+	return {
+		file: file,
+		lang: lang,
+		scopes: scopes
+	};
+}
+
+/**
+ * Unquote and unescape a ".po" file string.
+ *
+ * @private
+ * @param {string} quoted The string including the quotes.
+ * @param {function} invalid Function that creates syntax error.
+ * @returns {string} The string value.
+ * @throws {module:x2node-common.X2UsageError} If invalid string.
+ */
+function unquote(quoted, invalid) {
+
+	if (!/^"(?:[^"\\]|\\.)*"$/.test(quoted))
+		throw invalid();
+
+	return quoted.substring(1, quoted.length - 1).replace(/\\(.)/g, (_, c) => {
+		switch (c) {
+		case 'n': return '\n';
+		case 't': return '\t';
+		case 'r': return '\r';
+		default: return c;
+		}
+	});
+}
+
+/**
+ * Get translations of the validation error messages from the catalogs for the
+ * specified scope.
+ *
+ * @protected
+ * @param {Array.<module:x2node-validators~MessageCatalog>} catalogs The
+ * catalogs.
+ * @param {string} scope The scope.
+ * @param {Object.<string,(string|Object.<string,string>)>} base Validation error
+ * messages inherited by the scope.
+ * @returns {Object.<string,Object.<string,string>>} Message definitions with
+ * the translations in the form of the <code>validationErrorMessages</code>
+ * definition attribute, or <code>null</code> if no translations for the scope.
+ */
+function getScopeMessages(catalogs, scope, base) {
+
+	let messages = null;
+	for (let catalog of catalogs) {
+		const scopeMessages = catalog.scopes[scope];
+		for (let messageId in scopeMessages) {
+			if (messageId === TITLE_KEY)
+				continue;
+			if (!messages)
+				messages = new Object();
+			let messageDef = messages[messageId];
+			if (!messageDef) {
+				const existingMessageDef = base[messageId];
+				messages[messageId] = messageDef = (
+					(typeof existingMessageDef) === 'string' ?
+						{ '*': existingMessageDef } : new Object());
+			}
+			messageDef[catalog.lang] = scopeMessages[messageId];
+		}
+	}
+
+	return messages;
+}
+
+/**
+ * Add title translations from the catalogs for the specified scope.
+ *
+ * @protected
+ * @param {Array.<module:x2node-validators~MessageCatalog>} catalogs The
+ * catalogs.
+ * @param {string} scope The scope.
+ * @param {(string|Object.<string,string>)} title The title.
+ * @returns {(string|Object.<string,string>)} The title with the translations,
+ * or the original title if no translations for the scope.
+ */
+function addTitleTranslations(catalogs, scope, title) {
+
+	let result = title;
+	for (let catalog of catalogs) {
+		const scopeMessages = catalog.scopes[scope];
+		if (!scopeMessages || !scopeMessages[TITLE_KEY])
+			continue;
+		if (result === title)
+			result = (
+				(typeof title) === 'string' ?
+					{ '*': title } : Object.assign(new Object(), title));
+		result[catalog.lang] = scopeMessages[TITLE_KEY];
+	}
+
+	return result;
+}
+
+/**
+ * Tell if a title or message definition has template for the language.
+ *
+ * @private
+ * @param {(string|Object.<string,string>)} def Title or message definition.
+ * @param {string} lang Language code.
+ * @returns {boolean} <code>true</code> if translated.
+ */
+function isTranslated(def, lang) {
+
+	if ((def === null) || ((typeof def) !== 'object'))
+		return false;
+
+	const key = lang.toLowerCase();
+	for (let defLang in def)
+		if (defLang.toLowerCase() === key)
+			return true;
+
+	return false;
+}
+
+/**
+ * Build report of the titles and message ids missing from the catalogs.
+ *
+ * @protected
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Array.<module:x2node-validators~MessageCatalog>} catalogs The
+ * catalogs.
+ * @param {Object.<string,(string|Object.<string,string>)>} libraryMessages
+ * Library-wide validation error messages.
+ * @returns {Array.<module:x2node-validators~MissingTranslationsReport>} Report
+ * for each catalog.
+ */
+function getMissingTranslations(recordTypes, catalogs, libraryMessages) {
+
+	// collect scopes with titles and messages
+	const scopes = new Array();
+	const libraryMessageIds = new Array();
+	for (let messageId in libraryMessages)
+		libraryMessageIds.push(messageId);
+	scopes.push({
+		scope: '',
+		title: null,
+		messages: libraryMessages,
+		messageIds: libraryMessageIds
+	});
+	const addScope = (scope, desc) => {
+		const ownMessageIds = new Set(
+			Object.keys(desc.definition.validationErrorMessages || {}));
+		for (let catalog of catalogs)
+			for (let messageId in catalog.scopes[scope])
+				if (messageId !== TITLE_KEY)
+					ownMessageIds.add(messageId);
+		scopes.push({
+			scope: scope,
+			title: desc.title,
+			messages: desc.validationErrorMessages,
+			messageIds: Array.from(ownMessageIds)
+		});
+	};
+	const addContainer = container => {
+		for (let propName of container.allPropertyNames) {
+			const propDesc = container.getPropertyDesc(propName);
+			addScope(
+				container.recordTypeName + ':' + container.nestedPath +
+					propName, propDesc);
+			if ((propDesc.scalarValueType === 'object') &&
+				propDesc.nestedProperties)
+				addContainer(propDesc.nestedProperties);
+		}
+	};
+	for (let recordTypeName of recordTypes.definedRecordTypeNames) {
+		const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+		addScope(recordTypeName, recordTypeDesc);
+		addContainer(recordTypeDesc);
+	}
+
+	// build the report for each catalog
+	return catalogs.map(catalog => {
+		const missingTitles = new Array();
+		const missingMessages = new Array();
+		for (let s of scopes) {
+			if ((s.title !== null) && !isTranslated(s.title, catalog.lang))
+				missingTitles.push(s.scope);
+			for (let messageId of s.messageIds)
+				if (!isTranslated(s.messages[messageId], catalog.lang))
+					missingMessages.push({
+						scope: s.scope,
+						messageId: messageId
+					});
+		}
+		return {
+			file: catalog.file,
+			lang: catalog.lang,
+			missingTitles: missingTitles,
+			missingMessages: missingMessages
+		};
+	});
+}
+
+// export the functions
+exports.loadCatalogs = loadCatalogs;
+exports.getScopeMessages = getScopeMessages;
+exports.addTitleTranslations = addTitleTranslations;
+exports.getMissingTranslations = getMissingTranslations;
@@ -1,6 +1,119 @@
 'use strict';
 
 
+/**
+ * Plural rules by language tags.
+ *
+ * @private
+ * @type {Map.<string,Object>}
+ */
+const PLURAL_RULES = new Map();
+
+/**
+ * Cached <code>Intl</code> formatters by constructor name, language tag and
+ * style.
+ *
+ * @private
+ * @type {Map.<string,Object>}
+ */
+const INTL_FORMATTERS = new Map();
+
+/**
+ * Standard message parameter formatters by placeholder types. Each formatter
+ * receives the parameter value, the message language and the optional style
+ * from the placeholder.
+ *
+ * @private
+ * @constant {Object.<string,module:x2node-validators~messageParamFormatter>}
+ */
+const STANDARD_FORMATTERS = {
+	'number': (value, lang, style) => {
+		const num = Number(value);
+		const formatter = getIntlFormatter('NumberFormat', lang, style, () => (
+			style === 'integer' ? { maximumFractionDigits: 0 } :
+				style === 'percent' ? { style: 'percent' } :
+					{ maximumFractionDigits: 20 }
+		));
+		return (formatter ? formatter.format(num) : String(num));
+	},
+	'date': (value, lang, style) => {
+		const date = (value instanceof Date ? value : new Date(value));
+		if (Number.isNaN(date.getTime()))
+			return String(value);
+		const formatter = getIntlFormatter('DateTimeFormat', lang, style, () => ({
+			timeZone: 'UTC',
+			year: 'numeric',
+			month: (
+				style === 'short' ? 'numeric' :
+					style === 'long' || style === 'full' ? 'long' : 'short'),
+			day: 'numeric',
+			weekday: (style === 'full' ? 'long' : undefined)
+		}));
+		return (
+			formatter ? formatter.format(date) :
+				date.toISOString().substring(0, 10));
+	},
+	'list': (value, lang, style) => {
+		const items = (
+			Array.isArray(value) ? value.map(v => String(v)) : [ String(value) ]);
+		const formatter = getIntlFormatter('ListFormat', lang, style, () => ({
+			type: (style === 'or' ? 'disjunction' : 'conjunction')
+		}));
+		return (formatter ? formatter.format(items) : items.join(', '));
+	},
+	'pattern': value => (
+		value instanceof RegExp ? value.source : String(value))
+};
+
+/**
+ * Pattern for the beginning of a plural or select placeholder in a message
+ * template.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const CHOICE_START = /^\{\s*([^\s,{}]+)\s*,\s*(plural|select)\s*,/;
+
+/**
+ * Pattern for the contents of a simple placeholder with optional type and style.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const PLACEHOLDER = /^\s*([^\s,]+)\s*(?:,\s*([^\s,]+)\s*(?:,\s*([^\s,]+)\s*)?)?$/;
+
+
+/**
+ * Find template language matching the specified language range using RFC 4647
+ * lookup: if there is no exact match, subtags are removed from the end of the
+ * range one by one (along with any single-character subtag left preceding the
+ * removed one) until a match is found.
+ *
+ * @private
+ * @param {Map.<string,string>} tmplLangs Template language codes by lowercased
+ * codes.
+ * @param {string} range Lowercased language range.
+ * @returns {string} Matching template language code, or <code>undefined</code>
+ * if none.
+ */
+function lookupLanguage(tmplLangs, range) {
+
+	for (let tag = range; tag.length > 0;) {
+		const tmplLang = tmplLangs.get(tag);
+		if (tmplLang !== undefined)
+			return tmplLang;
+		const lastDash = tag.lastIndexOf('-');
+		if (lastDash < 0)
+			break;
+		tag = tag.substring(0, lastDash);
+		if (/-.$/.test(tag))
+			tag = tag.substring(0, tag.length - 2);
+	}
+
+	return undefined;
+}
+
+
 /**
  * Localized error message resolver.
  *
@@ -15,28 +128,72 @@ class MessageResolver {
 	 *
 	 * @param {string} lang Language preference specification as in the HTTP's
 	 * "Accept-Language" request header.
+	 * @param {string} [defaultLang] Language to use if no message template
+	 * matches any of the preferred languages.
+	 * @param {Object.<string,module:x2node-validators~messageParamFormatter>} [formatters]
+	 * Custom message parameter formatters by placeholder types. Take precedence
+	 * over the standard formatters.
 	 */
-	constructor(lang) {
+	constructor(lang, defaultLang, formatters) {
 
 		this._langs = lang
 			.replace(/^\s+|\s+$/g, '')
 			.split(/\s*,\s*/)
-			.map(l => {
-				const m = l.match(/^(.*?)(?:;q=(.*))?$/);
+			.map((l, i) => {
+				const m = l.match(/^([^;\s]*)\s*(?:;\s*q\s*=\s*([^;\s]*))?/);
 				return {
 					lang: m[1],
-					qvalue: (m[2] !== undefined ? Number(m[2]) : 1)
+					qvalue: (m[2] !== undefined ? Number(m[2]) : 1),
+					index: i
 				};
 			})
-			.filter(l => ((l.lang !== '*') && (l.qvalue > 0)))
-			.sort((l1, l2) => {
-				if (l1.qvalue < l2.qvalue)
-					return -1;
-				if (l1.qvalue > l2.qvalue)
-					return 1;
-				return 0;
-			})
+			.filter(l => (
+				(l.lang.length > 0) && (l.lang !== '*') && (l.qvalue > 0)))
+			.sort((l1, l2) => (
+				(l2.qvalue - l1.qvalue) || (l1.index - l2.index)))
 			.map(l => l.lang.toLowerCase());
+
+		this._defaultLang = (defaultLang ? defaultLang.toLowerCase() : null);
+
+		this._formatters = (formatters || new Object());
+	}
+
+	/**
+	 * Create resolver for a different language preference with the same default
+	 * language and message parameter formatters.
+	 *
+	 * @param {string} lang Language preference specification as in the HTTP's
+	 * "Accept-Language" request header.
+	 * @returns {module:x2node-validators~MessageResolver} New resolver.
+	 */
+	forLanguage(lang) {
+
+		return new MessageResolver(
+			lang, this._defaultLang, this._formatters);
+	}
+
+	/**
+	 * Get validation error message text for a record element. The element's
+	 * title is made available to the template via the automatic
+	 * <code>field</code> and <code>Field</code> parameters.
+	 *
+	 * @param {Object.<string,(string|Object.<string,string>)>} messagesStore
+	 * Messages store.
+	 * @param {(string|Object.<string,string>)} title Element title, or title
+	 * templates by language codes.
+	 * @param {string} message Message id in curly braces or message template.
+	 * @param {Object.<string,*>} [params] Message parameters.
+	 * @returns {string} Rendered message text.
+	 */
+	getElementMessage(messagesStore, title, message, params) {
+
+		const paramsWithTitle = (params ? Object.create(params) : new Object());
+		const titleText = this.renderMessage(title);
+		paramsWithTitle['field'] = titleText;
+		paramsWithTitle['Field'] =
+			titleText.charAt(0).toUpperCase() + titleText.substring(1);
+
+		return this.getMessage(messagesStore, message, paramsWithTitle);
 	}
 
 	/**
@@ -63,7 +220,9 @@ class MessageResolver {
 	}
 
 	/**
-	 * Given a templates set, render the message.
+	 * Given a templates set, render the message. A plain template string is not
+	 * tied to any language, so its plural rules and parameter formats are those
+	 * of the default language, or English if no default language.
 	 *
 	 * @param {(string|Object.<string,string>)} messageTmpls Message template
 	 * string or message templates set by language codes.
@@ -72,58 +231,298 @@ class MessageResolver {
 	 */
 	renderMessage(messageTmpls, params) {
 
-		const messageTmpl = (
-			(typeof messageTmpls) === 'string' ?
-				messageTmpls : this._findMessageTemplate(messageTmpls));
+		let messageTmpl, lang;
+		if ((typeof messageTmpls) === 'string') {
+			messageTmpl = messageTmpls;
+			lang = (this._defaultLang || 'en');
+		} else {
+			lang = this._findMessageLanguage(messageTmpls);
+			messageTmpl = messageTmpls[lang];
+		}
 
-		return (params ? this._replaceParams(messageTmpl, params) : messageTmpl);
+		return (
+			params ? this._replaceParams(messageTmpl, params, lang) : messageTmpl);
 	}
 
 	/**
-	 * Find message template according to the resolver's preferred languages
-	 * list.
+	 * Find language of the message template according to the resolver's
+	 * preferred languages list. The lookup follows RFC 4647: each preferred
+	 * language range is tried in the order of preference, progressively
+	 * truncated from the end until a template matches. The matching is
+	 * case-insensitive.
 	 *
 	 * @private
 	 * @param {Object.<string,string>} messageTmpls Message templates by language
 	 * codes.
-	 * @returns {string} Matched message template, or first template in the
+	 * @returns {string} Language code of the matched message template, or of
+	 * the template for the default language, or of the first template in the
 	 * provided templates if no language match.
 	 */
-	_findMessageTemplate(messageTmpls) {
+	_findMessageLanguage(messageTmpls) {
+
+		const tmplLangs = new Map();
+		for (let tmplLang in messageTmpls) {
+			const key = tmplLang.toLowerCase();
+			if (!tmplLangs.has(key))
+				tmplLangs.set(key, tmplLang);
+		}
 
 		for (let lang of this._langs) {
-			const messageTmpl = messageTmpls[lang];
-			if (messageTmpl)
-				return messageTmpl;
+			const tmplLang = lookupLanguage(tmplLangs, lang);
+			if (tmplLang !== undefined)
+				return tmplLang;
+		}
+
+		if (this._defaultLang) {
+			const tmplLang = lookupLanguage(tmplLangs, this._defaultLang);
+			if (tmplLang !== undefined)
+				return tmplLang;
 		}
 
 		for (let lang in messageTmpls)
-			return messageTmpls[lang];
+			return lang;
 	}
 
 	/**
-	 * Replace message parameters.
+	 * Replace message parameters. Besides the simple <code>${name}</code>
+	 * placeholders, the template may contain ICU MessageFormat style plural and
+	 * select placeholders.
 	 *
 	 * @private
 	 * @param {string} messageTmpl Message template.
 	 * @param {Object.<string,*>} params Message parameters.
+	 * @param {string} lang Language of the template used for the plural rules.
+	 * @param {string} [pound] Replacement for the "#" character inside a plural
+	 * placeholder branch.
 	 * @returns {string} Resulting message.
 	 */
-	_replaceParams(messageTmpl, params) {
-
-		const re = new RegExp('\\$\\{([^}]+)\\}', 'g');
-		let m, lastMatchIndex = 0, message = '';
-		while ((m = re.exec(messageTmpl)) !== null) {
-			message += messageTmpl.substring(lastMatchIndex, m.index);
-			lastMatchIndex = re.lastIndex;
-			message += String(params[m[1]]);
+	_replaceParams(messageTmpl, params, lang, pound) {
+
+		let message = '';
+		for (let i = 0, len = messageTmpl.length; i < len; i++) {
+			const c = messageTmpl.charAt(i);
+
+			// simple placeholder
+			if ((c === '$') && (messageTmpl.charAt(i + 1) === '{')) {
+				const end = messageTmpl.indexOf('}', i + 2);
+				if (end > 0) {
+					message += this._formatParam(
+						messageTmpl.substring(i + 2, end), params, lang);
+					i = end;
+					continue;
+				}
+			}
+
+			// plural or select placeholder
+			if (c === '{') {
+				const choice = this._parseChoice(messageTmpl, i);
+				if (choice) {
+					message += this._renderChoice(choice, params, lang);
+					i = choice.end;
+					continue;
+				}
+			}
+
+			// number in a plural branch
+			if ((c === '#') && (pound !== undefined)) {
+				message += pound;
+				continue;
+			}
+
+			// literal character
+			message += c;
 		}
-		message = (
-			lastMatchIndex > 0 ?
-				message + messageTmpl.substring(lastMatchIndex) : messageTmpl);
 
 		return message;
 	}
+
+	/**
+	 * Format simple placeholder value. The placeholder may specify the
+	 * parameter type and style after the parameter name, as in
+	 * <code>${max, number}</code> or <code>${expected, list, or}</code>, in
+	 * which case the corresponding formatter is used. Otherwise, or if the
+	 * value is <code>undefined</code> or <code>null</code>, the value is simply
+	 * converted to a string.
+	 *
+	 * @private
+	 * @param {string} placeholder Placeholder contents between the curly braces.
+	 * @param {Object.<string,*>} params Message parameters.
+	 * @param {string} lang Language of the template.
+	 * @returns {string} Formatted value.
+	 */
+	_formatParam(placeholder, params, lang) {
+
+		const m = PLACEHOLDER.exec(placeholder);
+		if (!m || (m[2] === undefined))
+			return String(params[placeholder]);
+
+		const value = params[m[1]];
+		const formatter = (
+			this._formatters[m[2]] || STANDARD_FORMATTERS[m[2]]);
+		if (!formatter || (value === undefined) || (value === null))
+			return String(value);
+
+		return String(formatter(value, (lang === '*' ? 'en' : lang), m[3]));
+	}
+
+	/**
+	 * Parse plural or select placeholder.
+	 *
+	 * @private
+	 * @param {string} messageTmpl Message template.
+	 * @param {number} start Index of the placeholder's opening curly brace.
+	 * @returns {Object} Placeholder descriptor with <code>name</code>,
+	 * <code>type</code>, <code>branches</code> (branch templates by selectors)
+	 * and <code>end</code> (index of the closing curly brace) properties, or
+	 * <code>null</code> if there is no valid placeholder at the index.
+	 */
+	_parseChoice(messageTmpl, start) {
+
+		const m = CHOICE_START.exec(messageTmpl.substring(start));
+		if (!m)
+			return null;
+
+		const branches = new Object();
+		const len = messageTmpl.length;
+		let i = start + m[0].length;
+		for (;;) {
+
+			// skip whitespace and check if the end of the placeholder
+			while ((i < len) && /\s/.test(messageTmpl.charAt(i)))
+				i++;
+			if (i >= len)
+				return null;
+			if (messageTmpl.charAt(i) === '}')
+				break;
+
+			// read the selector
+			const selectorStart = i;
+			while ((i < len) && !/[\s{}]/.test(messageTmpl.charAt(i)))
+				i++;
+			const selector = messageTmpl.substring(selectorStart, i);
+			while ((i < len) && /\s/.test(messageTmpl.charAt(i)))
+				i++;
+			if ((selector.length === 0) || (messageTmpl.charAt(i) !== '{'))
+				return null;
+
+			// read the branch template up to the matching closing brace
+			const branchStart = i + 1;
+			let depth = 1;
+			while ((depth > 0) && (++i < len)) {
+				const c = messageTmpl.charAt(i);
+				if (c === '{')
+					depth++;
+				else if (c === '}')
+					depth--;
+			}
+			if (depth > 0)
+				return null;
+			branches[selector] = messageTmpl.substring(branchStart, i);
+			i++;
+		}
+
+		return {
+			name: m[1],
+			type: m[2],
+			branches: branches,
+			end: i
+		};
+	}
+
+	/**
+	 * Render plural or select placeholder.
+	 *
+	 * @private
+	 * @param {Object} choice Parsed placeholder.
+	 * @param {Object.<string,*>} params Message parameters.
+	 * @param {string} lang Language of the template.
+	 * @returns {string} Rendered placeholder.
+	 */
+	_renderChoice(choice, params, lang) {
+
+		const value = params[choice.name];
+		const branches = choice.branches;
+
+		let branch, pound;
+		if (choice.type === 'plural') {
+			const num = Number(value);
+			branch = branches['=' + String(num)];
+			if (branch === undefined)
+				branch = branches[getPluralCategory(lang, num)];
+			pound = String(num);
+		} else {
+			branch = branches[String(value)];
+		}
+		if (branch === undefined)
+			branch = branches['other'];
+
+		return (
+			branch === undefined ?
+				'' : this._replaceParams(branch, params, lang, pound));
+	}
+}
+
+/**
+ * Get plural category of a number for a language. If plural rules are not
+ * available in the environment or for the language, English rules are used.
+ *
+ * @private
+ * @param {string} lang Language tag.
+ * @param {number} num The number.
+ * @returns {string} Plural category ("zero", "one", "two", "few", "many" or
+ * "other").
+ */
+function getPluralCategory(lang, num) {
+
+	let rules = PLURAL_RULES.get(lang);
+	if (rules === undefined) {
+		rules = null;
+		if (((typeof Intl) === 'object') && Intl.PluralRules) {
+			try {
+				rules = new Intl.PluralRules(lang === '*' ? 'en' : lang);
+			} catch (err) {
+				if (!(err instanceof RangeError))
+					throw err;
+			}
+		}
+		PLURAL_RULES.set(lang, rules);
+	}
+
+	return (rules ? rules.select(num) : (num === 1 ? 'one' : 'other'));
+}
+
+/**
+ * Get cached <code>Intl</code> formatter. If the language tag is invalid, the
+ * English formatter is used instead.
+ *
+ * @private
+ * @param {string} ctorName Name of the <code>Intl</code> constructor.
+ * @param {string} lang Language tag.
+ * @param {string} [style] Formatting style used as part of the cache key.
+ * @param {function} getOptions Function that returns formatter options.
+ * @returns {Object} The formatter, or <code>null</code> if not available.
+ */
+function getIntlFormatter(ctorName, lang, style, getOptions) {
+
+	const key = ctorName + ':' + lang + ':' + (style || '');
+	let formatter = INTL_FORMATTERS.get(key);
+	if (formatter === undefined) {
+		formatter = null;
+		if (((typeof Intl) === 'object') && Intl[ctorName]) {
+			for (let locale of [ lang, 'en' ]) {
+				try {
+					formatter = new Intl[ctorName](locale, getOptions());
+					break;
+				} catch (err) {
+					if (!(err instanceof RangeError))
+						throw err;
+				}
+			}
+		}
+		INTL_FORMATTERS.set(key, formatter);
+	}
+
+	return formatter;
 }
 
 // export the class
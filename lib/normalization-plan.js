@@ -0,0 +1,337 @@
+'use strict';
+
+
+/**
+ * Symbol used to cache normalization plans on the descriptors.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const PLANS = Symbol('PLANS');
+
+/**
+ * Symbol used to store the ids of the validation sets used in the record types
+ * library on the library.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const VALIDATION_SET_IDS = Symbol('VALIDATION_SET_IDS');
+
+/**
+ * Symbol used to store the canonical validation sets combinations on the
+ * record types library.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const PLAN_SETS = Symbol('PLAN_SETS');
+
+/**
+ * Normalization plan for a properties container (a record type, a nested
+ * object or a polymorphic object subtype) and a specific combination of
+ * validation sets.
+ *
+ * @private
+ * @typedef {Object} module:x2node-validators~ContainerPlan
+ * @property {module:x2node-records~PropertiesContainer} container The
+ * container descriptor.
+ * @property {?string} typePropertyName For a polymorphic object container, the
+ * type property name, otherwise <code>null</code>.
+ * @property {?Array.<module:x2node-validators.curriedValidator>} validators For
+ * a record type, the record validators, or <code>null</code> if none.
+ * @property {string} unknownProperties Unknown properties policy.
+ * @property {?Set.<string>} knownProperties Names of the properties that may
+ * appear in the container objects, or <code>null</code> if unknown properties
+ * are allowed. For a polymorphic object container, these are only the common
+ * properties and the type property.
+ * @property {Array.<(module:x2node-validators~PropertyPlan|module:x2node-validators~SubtypePlan)>} entries
+ * Plans for the container properties that need validation in the order they
+ * are validated. Views and properties that have nothing to validate are not
+ * included.
+ */
+
+/**
+ * Normalization plan for a property.
+ *
+ * @private
+ * @typedef {Object} module:x2node-validators~PropertyPlan
+ * @property {boolean} subtype Always <code>false</code>.
+ * @property {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @property {string} name Property name.
+ * @property {?Array.<module:x2node-validators.curriedValidator>} validators
+ * Property validators, or <code>null</code> if none.
+ * @property {?Array.<module:x2node-validators.curriedValidator>} elementValidators
+ * Collection element validators, or <code>null</code> if none or not a
+ * collection.
+ * @property {boolean} array <code>true</code> for an array property.
+ * @property {boolean} map <code>true</code> for a map property.
+ * @property {boolean} traverseElements <code>true</code> if the property is a
+ * collection, whose elements need to be validated.
+ * @property {?module:x2node-validators~ContainerPlan} nested For a nested
+ * object property, the nested container plan, otherwise <code>null</code>.
+ * @property {?Set.<string>} readOnlyIn Operations ("create" and/or "update"),
+ * for which values for the property are not accepted, or <code>null</code> if
+ * always accepted.
+ * @property {boolean} bail <code>true</code> if the remaining property (or
+ * element) validators are skipped once the property (or element) has an error.
+ */
+
+/**
+ * Normalization plan for a polymorphic object subtype.
+ *
+ * @private
+ * @typedef {Object} module:x2node-validators~SubtypePlan
+ * @property {boolean} subtype Always <code>true</code>.
+ * @property {string} name Subtype name.
+ * @property {?Array.<module:x2node-validators.curriedValidator>} validators
+ * Subtype validators, or <code>null</code> if none.
+ * @property {module:x2node-validators~ContainerPlan} nested The subtype
+ * properties container plan.
+ * @property {?Set.<string>} knownProperties Names of the properties that may
+ * appear in the polymorphic object of this subtype, or <code>null</code> if
+ * unknown properties are allowed.
+ */
+
+/**
+ * Get canonical validation sets combination used to build and look up the
+ * normalization plans. The requested sets that are not used by any validator
+ * in the library are dropped, since they do not affect the plans, and the same
+ * object is returned for the same combination. That way, the plans can be
+ * cached by the combination object and the number of cached plans is limited
+ * by the validation sets actually used in the library, no matter what sets are
+ * requested.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {Set.<string>} validationSets Requested validation sets.
+ * @returns {Set.<string>} The canonical validation sets combination.
+ */
+function getPlanSets(recordTypes, validationSets) {
+
+	const setIds = Array.from(validationSets).filter(
+		setId => recordTypes[VALIDATION_SET_IDS].has(setId)).sort();
+	const setsKey = setIds.join(',');
+
+	let planSets = recordTypes[PLAN_SETS];
+	if (!planSets)
+		planSets = recordTypes[PLAN_SETS] = new Map();
+	let sets = planSets.get(setsKey);
+	if (!sets)
+		planSets.set(setsKey, sets = new Set(setIds));
+
+	return sets;
+}
+
+/**
+ * Get cached plan for the descriptor and validation sets.
+ *
+ * @private
+ * @param {Object} desc The descriptor.
+ * @param {Set.<string>} planSets Canonical validation sets combination.
+ * @returns {Object} The plan, or <code>undefined</code> if not cached yet.
+ */
+function getCachedPlan(desc, planSets) {
+
+	const plans = desc[PLANS];
+
+	return (plans && plans.get(planSets));
+}
+
+/**
+ * Cache plan for the descriptor and validation sets.
+ *
+ * @private
+ * @param {Object} desc The descriptor.
+ * @param {Set.<string>} planSets Canonical validation sets combination.
+ * @param {Object} plan The plan.
+ * @returns {Object} The plan.
+ */
+function cachePlan(desc, planSets, plan) {
+
+	let plans = desc[PLANS];
+	if (!plans)
+		plans = desc[PLANS] = new Map();
+	plans.set(planSets, plan);
+
+	return plan;
+}
+
+/**
+ * Get normalization plan for a properties container. The plan is built the
+ * first time it is requested for the container and the validation sets
+ * combination and is cached on the container descriptor.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * descriptor.
+ * @param {Set.<string>} planSets Canonical validation sets combination (see
+ * <code>getPlanSets()</code>).
+ * @returns {module:x2node-validators~ContainerPlan} The plan.
+ */
+function getContainerPlan(container, planSets) {
+
+	// check if already built
+	let plan = getCachedPlan(container, planSets);
+	if (plan)
+		return plan;
+
+	// create and cache the plan before the entries in case of a cycle
+	plan = cachePlan(container, planSets, {
+		container: container,
+		typePropertyName: (
+			container.isPolymorphObject() ? container.typePropertyName : null),
+		validators: (
+			container.isRecordType() ?
+				getValidators(container, false, planSets) : null),
+		unknownProperties: container.unknownProperties,
+		knownProperties: null,
+		entries: new Array()
+	});
+
+	// collect known properties if not allowing unknown
+	let knownProperties = null;
+	if (plan.unknownProperties !== 'allow') {
+		knownProperties = (
+			plan.typePropertyName ?
+				container.allPropertyNames.filter(
+					propName => !container.getPropertyDesc(propName).isSubtype()) :
+				Array.from(container.allPropertyNames)
+		);
+		if (plan.typePropertyName)
+			knownProperties.push(plan.typePropertyName);
+		plan.knownProperties = new Set(knownProperties);
+	}
+
+	// build the entries
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isView())
+			continue;
+		if (propDesc.isSubtype()) {
+			const nested = propDesc.nestedProperties;
+			plan.entries.push({
+				subtype: true,
+				name: propName,
+				validators: getValidators(propDesc, false, planSets),
+				nested: getContainerPlan(nested, planSets),
+				knownProperties: (
+					knownProperties ?
+						new Set(knownProperties.concat(nested.allPropertyNames)) :
+						null
+				)
+			});
+		} else {
+			const propPlan = getPropertyPlan(propDesc, planSets);
+			if (propPlan.validators || propPlan.traverseElements ||
+				propPlan.nested || propPlan.readOnlyIn)
+				plan.entries.push(propPlan);
+		}
+	}
+
+	// return the plan
+	return plan;
+}
+
+/**
+ * Get normalization plan for a property. The plan is built the first time it
+ * is requested for the property and the validation sets combination and is
+ * cached on the property descriptor.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @param {Set.<string>} planSets Canonical validation sets combination (see
+ * <code>getPlanSets()</code>).
+ * @returns {module:x2node-validators~PropertyPlan} The plan.
+ */
+function getPropertyPlan(propDesc, planSets) {
+
+	// check if already built
+	let plan = getCachedPlan(propDesc, planSets);
+	if (plan)
+		return plan;
+
+	// build the plan
+	const objects = (propDesc.scalarValueType === 'object');
+	const collection = !propDesc.isScalar();
+	const elementValidators = (
+		collection ? getValidators(propDesc, true, planSets) : null);
+	plan = cachePlan(propDesc, planSets, {
+		subtype: false,
+		propDesc: propDesc,
+		name: propDesc.name,
+		validators: getValidators(propDesc, false, planSets),
+		elementValidators: elementValidators,
+		array: propDesc.isArray(),
+		map: propDesc.isMap(),
+		traverseElements: (collection && (elementValidators || objects) ?
+			true : false),
+		nested: null,
+		readOnlyIn: getReadOnlyOperations(propDesc),
+		bail: (propDesc.definition.bail ? true : false)
+	});
+	if (objects)
+		plan.nested = getContainerPlan(propDesc.nestedProperties, planSets);
+
+	// return the plan
+	return plan;
+}
+
+/**
+ * Get operations, for which values for the property are not accepted.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc The property
+ * descriptor.
+ * @returns {?Set.<string>} The operations, or <code>null</code> if none.
+ */
+function getReadOnlyOperations(propDesc) {
+
+	if (propDesc.readOnly || propDesc.isGenerated() ||
+		propDesc.isRecordMetaInfo())
+		return new Set([ 'create', 'update' ]);
+
+	if (propDesc.isId() || !propDesc.modifiable)
+		return new Set([ 'update' ]);
+
+	return null;
+}
+
+/**
+ * Get validators sequence for the specified subject descriptor.
+ *
+ * @private
+ * @param {(module:x2node-records~RecordTypeDescriptor|module:x2node-records~PropertyDescriptor)} subjDesc
+ * Descriptor with validators on it.
+ * @param {boolean} element <code>true</code> for collection element validators.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {Array.<module:x2node-validators.curriedValidator>} List of
+ * validators to run or <code>null</code> if none.
+ */
+function getValidators(subjDesc, element, validationSets) {
+
+	const validators = subjDesc.validators;
+
+	if (!validators)
+		return null;
+
+	const allValidators = new Array();
+	for (let set in validators) {
+		if (element && !set.startsWith('element:'))
+			continue;
+		if (validationSets.has(element ? set.substring('element:'.length) : set))
+			for (let validator of validators[set])
+				allValidators.push(validator);
+	}
+
+	return (allValidators.length > 0 ? allValidators : null);
+}
+
+// export the plan functions
+exports.VALIDATION_SET_IDS = VALIDATION_SET_IDS;
+exports.getPlanSets = getPlanSets;
+exports.getContainerPlan = getContainerPlan;
+exports.getPropertyPlan = getPropertyPlan;
@@ -0,0 +1,434 @@
+'use strict';
+
+const common = require('x2node-common');
+const pointers = require('x2node-pointers');
+
+const recordNormalizer = require('./record-normalizer.js');
+
+const then = recordNormalizer.then;
+
+
+/**
+ * Validate and normalize the specified
+ * [RFC 6902]{@link https://tools.ietf.org/html/rfc6902} JSON Patch document
+ * against the record type. The values in the "add" and "replace" operations
+ * are validated and normalized using the validators of the target properties
+ * (or collection elements), the normalized values are set back into the
+ * operations. The errors are associated with the operation "path" pointers.
+ *
+ * @function module:x2node-validators.normalizePatch
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Array.<Object>} patch The patch document (array of operations).
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages in the same format as used by the HTTP's
+ * "Accept-Language" request header. If not provided, "*" is assumed.
+ * Alternatively, the normalization options object can be provided in place of
+ * this argument, in which case the rest of the arguments are ignored.
+ * @param {string} [validationSets] Comma-separated validation set names. If not
+ * provided, the default validation set is used.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~PatchNormalizationResult)}
+ * Errors if the patch is invalid, or <code>null</code> if it has been
+ * successfully validated and normalized. If requested by the options (see
+ * <code>copy</code>, <code>changes</code> and <code>warnings</code> options),
+ * the result object with the errors, the normalized patch and the rest.
+ * @throws {module:x2node-common.X2UsageError} If unknown record type, patch was
+ * not provided, invalid language or validation set specification, or any of
+ * the validators returned a promise.
+ */
+function normalize(
+	recordTypes, recordTypeName, patch, lang, validationSets) {
+
+	return normalizePatch(
+		recordTypes, recordTypeName, patch,
+		recordNormalizer.getOptions(lang, validationSets), false);
+}
+
+/**
+ * Asynchronous version of
+ * [normalizePatch()]{@link module:x2node-validators.normalizePatch}, which
+ * allows validators to return promises.
+ *
+ * @function module:x2node-validators.normalizePatchAsync
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Array.<Object>} patch The patch document (array of operations).
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages, or the normalization options.
+ * @param {string} [validationSets] Comma-separated validation set names.
+ * @returns {Promise.<(module:x2node-validators~ValidationErrors|module:x2node-validators~PatchNormalizationResult)>}
+ * Promise of the errors if the patch is invalid, or <code>null</code> if it
+ * has been successfully validated and normalized, or, if requested by the
+ * options, of the result object.
+ */
+function normalizeAsync(
+	recordTypes, recordTypeName, patch, lang, validationSets) {
+
+	return new Promise(resolve => {
+		resolve(normalizePatch(
+			recordTypes, recordTypeName, patch,
+			recordNormalizer.getOptions(lang, validationSets), true));
+	});
+}
+
+/**
+ * Validate and normalize the patch either synchronously or asynchronously.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Array.<Object>} patch The patch document.
+ * @param {module:x2node-validators~NormalizationOptions} options
+ * Normalization options.
+ * @param {boolean} async <code>true</code> to allow validators to return
+ * promises.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~PatchNormalizationResult|Promise)}
+ * Validation result, or promise of it if asynchronous.
+ */
+function normalizePatch(recordTypes, recordTypeName, patch, options, async) {
+
+	// check that we have the patch
+	if (!Array.isArray(patch))
+		throw new common.X2UsageError('Patch document was not provided.');
+
+	// get the record type descriptor (or throw error if invalid record type)
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// create validation context
+	const ctx = recordNormalizer.createContext(
+		recordTypes, recordTypeDesc, options, async);
+	const sets = ctx.planSets;
+
+	// validate the operations
+	return then(
+		then(
+			recordNormalizer.forEach(
+				patch, op => normalizeOperation(ctx, recordTypeDesc, op, sets)),
+			() => recordNormalizer.resolveRefs(ctx)
+		),
+		() => getResult(ctx, patch)
+	);
+}
+
+/**
+ * Get patch normalization function result.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {Array.<Object>} patch The patch document.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~PatchNormalizationResult)}
+ * Validation errors or <code>null</code> if none, or the result object if
+ * requested by the normalization options.
+ */
+function getResult(ctx, patch) {
+
+	if (!ctx.extendedResult)
+		return ctx.getResult();
+
+	const normalizedPatch = patch.map(op => ctx.getCopy(op));
+
+	return recordNormalizer.buildResult(
+		ctx, 'patch', (
+			normalizedPatch.some((op, i) => (op !== patch[i])) ?
+				normalizedPatch : patch));
+}
+
+/**
+ * Validate/normalize single patch operation.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} op The operation.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeOperation(ctx, recordTypeDesc, op, validationSets) {
+
+	// check if the validation has been stopped
+	if (ctx.skipIfHalted())
+		return;
+
+	// check the basic operation structure
+	const opPath = (
+		(op !== null) && ((typeof op) === 'object') &&
+			((typeof op.path) === 'string') ? op.path : null);
+	if (opPath === null) {
+		ctx.addRawErrorFor(
+			'', recordTypeDesc, null, '{invalidPatchOperation}');
+		return;
+	}
+	const opType = op.op;
+	switch (opType) {
+	case 'add':
+	case 'replace':
+	case 'test':
+		if (op.value === undefined) {
+			ctx.addRawErrorFor(
+				opPath, recordTypeDesc, null, '{invalidPatchOperation}');
+			return;
+		}
+		break;
+	case 'move':
+	case 'copy':
+		if ((typeof op.from) !== 'string') {
+			ctx.addRawErrorFor(
+				opPath, recordTypeDesc, null, '{invalidPatchOperation}');
+			return;
+		}
+		break;
+	case 'remove':
+		break;
+	default:
+		ctx.addRawErrorFor(
+			opPath, recordTypeDesc, null, '{invalidPatchOperation}');
+		return;
+	}
+
+	// parse the pointer
+	const ptr = parsePointer(ctx, recordTypeDesc, opPath, (opType !== 'add'));
+	if (!ptr)
+		return;
+
+	// check that the location is modifiable
+	if ((opType !== 'test') && !checkModifiable(ctx, ptr))
+		return;
+
+	// check the source location of move and copy operations
+	if ((opType === 'move') || (opType === 'copy')) {
+		const fromPtr = parsePointer(ctx, recordTypeDesc, op.from, true);
+		if (!fromPtr)
+			return;
+		if ((opType === 'move') && (
+			!checkModifiable(ctx, fromPtr) || !checkRemovable(ctx, fromPtr)))
+			return;
+		if (!isCompatible(fromPtr, ptr))
+			ctx.addErrorFor(ptr, '{invalidPatchFrom}');
+		return;
+	}
+
+	// check removal
+	if (opType === 'remove') {
+		checkRemovable(ctx, ptr);
+		return;
+	}
+
+	// validate the value if add or replace
+	if (opType === 'test')
+		return;
+	return then(
+		normalizeValue(ctx, ptr, op.value, validationSets),
+		value => {
+			const normalizedValue = (value === undefined ? null : value);
+			if (normalizedValue !== op.value)
+				ctx.setValue(op, 'value', normalizedValue);
+		}
+	);
+}
+
+/**
+ * Parse pointer from a patch operation and add error to the context if
+ * invalid.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {string} propPointer The pointer.
+ * @param {boolean} noDash <code>true</code> if dash array index is not allowed.
+ * @returns {?module:x2node-pointers~RecordElementPointer} The parsed pointer,
+ * or <code>null</code> if invalid.
+ */
+function parsePointer(ctx, recordTypeDesc, propPointer, noDash) {
+
+	try {
+		return pointers.parse(recordTypeDesc, propPointer, noDash);
+	} catch (err) {
+		if (!(err instanceof common.X2SyntaxError))
+			throw err;
+		ctx.addRawErrorFor(propPointer, recordTypeDesc, null, '{invalidPointer}');
+		return null;
+	}
+}
+
+/**
+ * Check if the record element at the pointer can be modified by a patch and
+ * add error to the context if not. Views and polymorphic object type
+ * properties cannot be modified.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @returns {boolean} <code>true</code> if modifiable.
+ */
+function checkModifiable(ctx, ptr) {
+
+	for (let p = ptr; !p.isRoot(); p = p.parent) {
+		const propDesc = p.propDesc;
+		if (propDesc.isView() || (
+			!p.collectionElement && propDesc.container.isPolymorphObject() &&
+				(propDesc.name === propDesc.container.typePropertyName))) {
+			ctx.addErrorFor(ptr, '{notModifiable}');
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Check if the record element at the pointer can be removed and add error to
+ * the context if not. The record itself and required properties cannot be
+ * removed.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @returns {boolean} <code>true</code> if removable.
+ */
+function checkRemovable(ctx, ptr) {
+
+	if (ptr.isRoot() || (!ptr.collectionElement && !ptr.propDesc.optional)) {
+		ctx.addErrorFor(ptr, '{notRemovable}');
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Tell if a value from the record element at one pointer can be placed at
+ * another pointer.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} fromPtr Source pointer.
+ * @param {module:x2node-pointers~RecordElementPointer} toPtr Target pointer.
+ * @returns {boolean} <code>true</code> if compatible.
+ */
+function isCompatible(fromPtr, toPtr) {
+
+	if (fromPtr.isRoot() || toPtr.isRoot())
+		return (fromPtr.isRoot() && toPtr.isRoot());
+
+	const shape = ptr => (
+		ptr.collectionElement || ptr.propDesc.isScalar() ? 'scalar' : (
+			ptr.propDesc.isArray() ? 'array' : 'map'));
+	const fromPropDesc = fromPtr.propDesc;
+	const toPropDesc = toPtr.propDesc;
+
+	return (
+		(shape(fromPtr) === shape(toPtr)) &&
+			(fromPropDesc.scalarValueType === toPropDesc.scalarValueType) &&
+			(fromPropDesc.refTarget === toPropDesc.refTarget) &&
+			((fromPropDesc.scalarValueType !== 'object') ||
+				(fromPropDesc.nestedProperties === toPropDesc.nestedProperties))
+	);
+}
+
+/**
+ * Validate/normalize value added or replaced by a patch operation.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Operation pointer.
+ * @param {*} value The value.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {*} The normalized value, or promise of it if asynchronous
+ * validation is in progress.
+ */
+function normalizeValue(ctx, ptr, value, validationSets) {
+
+	// the whole record
+	if (ptr.isRoot()) {
+		if ((value === null) || ((typeof value) !== 'object')) {
+			ctx.addErrorFor(ptr, '{invalidValueType}', {
+				expected: 'object',
+				actual: (value === null ? 'null' : (typeof value))
+			});
+			return value;
+		}
+		return then(
+			recordNormalizer.normalizeWholeRecord(
+				ctx, ctx.recordTypeDesc, value, validationSets),
+			() => ctx.getCopy(value)
+		);
+	}
+
+	// resolve the target's containers and place the value into a copy of the
+	// immediate one
+	const containers = getContainers(ctx.options.baseRecord, ptr);
+	const containerObj = containers.pop();
+	let targetPtr = ptr, key, holder;
+	if (ptr.collectionElement) {
+		key = ptr.collectionElementIndex;
+		if (key === '-') {
+			key = (Array.isArray(containerObj) ? containerObj.length : 0);
+			targetPtr = ptr.parent.createChildPointer(String(key));
+		}
+		if (Array.isArray(containerObj)) {
+			holder = Array.from(containerObj);
+			holder[key] = value;
+		} else {
+			holder = { [key]: value };
+		}
+	} else {
+		key = ptr.propDesc.name;
+		holder = Object.assign(
+			new Object(), (
+				(containerObj !== null) && ((typeof containerObj) === 'object') &&
+					!Array.isArray(containerObj) ? containerObj : null
+			), { [key]: value });
+	}
+	containers.push(holder);
+
+	// validate the value and return the normalized value
+	return then(
+		recordNormalizer.normalizeAt(ctx, targetPtr, containers, validationSets),
+		() => ctx.getCopy(holder)[key]
+	);
+}
+
+/**
+ * Get chain of containers for the patch operation target. If the base record
+ * is provided and the target's parent element exists in it, the containers are
+ * taken from the base record, so that the validators that depend on the
+ * target's siblings see the current values. Otherwise, the chain consists of
+ * empty placeholder objects.
+ *
+ * @private
+ * @param {?Object} baseRecord The base record, if any.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Non-root target
+ * pointer.
+ * @returns {Array.<(Object|Array)>} The containers, one for each pointer prefix
+ * starting with the record itself. The last one is the target's parent
+ * element value, which may be <code>null</code> if absent.
+ */
+function getContainers(baseRecord, ptr) {
+
+	const containers = new Array();
+
+	if ((baseRecord !== null) && ((typeof baseRecord) === 'object')) {
+		try {
+			ptr.parent.getValue(baseRecord, (p, val) => { containers.push(val); });
+			return containers;
+		} catch (err) {
+			if (!(err instanceof common.X2DataError))
+				throw err;
+			containers.length = 0;
+		}
+	}
+
+	for (let p = ptr.parent; p; p = p.parent)
+		containers.push(new Object());
+
+	return containers;
+}
+
+// export the normalization functions
+exports.normalize = normalize;
+exports.normalizeAsync = normalizeAsync;
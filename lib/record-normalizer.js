@@ -1,11 +1,22 @@
 'use strict';
 
 const common = require('x2node-common');
+const pointers = require('x2node-pointers');
 
 const ValidationContext = require('./validation-context.js');
 const MessageResolver = require('./message-resolver.js');
+const normalizationPlan = require('./normalization-plan.js');
 
 
+/**
+ * Symbol on the record types library for the custom message parameter
+ * formatters.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const PARAM_FORMATTERS = Symbol('PARAM_FORMATTERS');
+
 /**
  * Validate and normalize the specified record.
  *
@@ -15,18 +26,86 @@ const MessageResolver = require('./message-resolver.js');
  * @param {string} recordTypeName Record type name.
  * @param {Object} record The record to validate. May not be <code>null</code> or
  * <code>undefined</code>.
- * @param {string} [lang] Language for the error messages in the same format as
- * used by the HTTP's "Accept-Language" request header. If not provided, "*" is
- * assumed.
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages in the same format as used by the HTTP's
+ * "Accept-Language" request header. If not provided, "*" is assumed.
+ * Alternatively, the normalization options object can be provided in place of
+ * this argument, in which case the rest of the arguments are ignored.
  * @param {string} [validationSets] Comma-separated validation set names. If not
  * provided, the default validation set is used.
- * @returns {module:x2node-validators~ValidationErrors} Errors if the record is
- * invalid, or <code>null</code> if it has been successfully validated and
- * normalized.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult)}
+ * Errors if the record is invalid, or <code>null</code> if it has been
+ * successfully validated and normalized. If requested by the options (see
+ * <code>copy</code>, <code>changes</code> and <code>warnings</code> options),
+ * the result object with the errors, the normalized record and the rest.
  * @throws {module:x2node-common.X2UsageError} If unknown record type, record was
- * not provided or invalid language or validation set specification.
+ * not provided, invalid language or validation set specification, or any of
+ * the validators returned a promise.
  */
-function normalize(recordTypes, recordTypeName, record, lang, validationSets) {
+function normalize(
+	recordTypes, recordTypeName, record, lang, validationSets) {
+
+	return normalizeRecord(
+		recordTypes, recordTypeName, record,
+		getOptions(lang, validationSets), false);
+}
+
+/**
+ * Asynchronously validate and normalize the specified record. Unlike
+ * [normalizeRecord()]{@link module:x2node-validators.normalizeRecord}, allows
+ * validators to return promises of the normalized values. The validators are
+ * still invoked one at a time and in the same order as in the synchronous
+ * validation.
+ *
+ * @function module:x2node-validators.normalizeRecordAsync
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Object} record The record to validate. May not be <code>null</code> or
+ * <code>undefined</code>.
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages in the same format as used by the HTTP's
+ * "Accept-Language" request header. If not provided, "*" is assumed.
+ * Alternatively, the normalization options object can be provided in place of
+ * this argument, in which case the rest of the arguments are ignored.
+ * @param {string} [validationSets] Comma-separated validation set names. If not
+ * provided, the default validation set is used.
+ * @returns {Promise.<(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult)>}
+ * Promise of the errors if the record is invalid, or <code>null</code> if it
+ * has been successfully validated and normalized, or, if requested by the
+ * options, of the result object. The promise is rejected with
+ * [X2UsageError]{@link module:x2node-common.X2UsageError} if unknown record
+ * type, record was not provided or invalid language or validation set
+ * specification. It is also rejected if any of the validators throws an error
+ * or returns a rejected promise.
+ */
+function normalizeAsync(
+	recordTypes, recordTypeName, record, lang, validationSets) {
+
+	return new Promise(resolve => {
+		resolve(normalizeRecord(
+			recordTypes, recordTypeName, record,
+			getOptions(lang, validationSets), true));
+	});
+}
+
+/**
+ * Validate and normalize the specified record either synchronously or
+ * asynchronously.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Object} record The record to validate.
+ * @param {module:x2node-validators~NormalizationOptions} options
+ * Normalization options.
+ * @param {boolean} async <code>true</code> to allow validators to return
+ * promises.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult|Promise)}
+ * Validation result, or promise of it if asynchronous.
+ */
+function normalizeRecord(recordTypes, recordTypeName, record, options, async) {
 
 	// check that we have the record
 	if ((record === null) || ((typeof record) !== 'object'))
@@ -35,25 +114,399 @@ function normalize(recordTypes, recordTypeName, record, lang, validationSets) {
 	// get the record type descriptor (or throw error if invalid record type)
 	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
 
-	// extract validation sets
-	var sets = new Set(
-		(validationSets ? validationSets.trim() + ',*' : '*').split(/\s*,\s*/));
+	// create validation context
+	const ctx = createContext(recordTypes, recordTypeDesc, options, async);
+	const sets = ctx.planSets;
+
+	// run validation/normalization of the record and return the result
+	return then(
+		normalizeWholeRecord(ctx, recordTypeDesc, record, sets),
+		() => getResult(ctx, record)
+	);
+}
+
+/**
+ * Validate and normalize the record element (a property or a collection
+ * element) specified by a JSON pointer and everything nested in it. Only the
+ * validators of the element and of its nested elements are invoked, but the
+ * validators still have the correct context including the chain of the
+ * element's containers.
+ *
+ * @function module:x2node-validators.normalizeRecordElement
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Object} record The record that contains the element. May not be
+ * <code>null</code> or <code>undefined</code>.
+ * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr Pointer of
+ * the element to validate. Empty string (or root pointer) is for the whole
+ * record, in which case the function is equivalent to
+ * [normalizeRecord()]{@link module:x2node-validators.normalizeRecord}.
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages in the same format as used by the HTTP's
+ * "Accept-Language" request header. If not provided, "*" is assumed.
+ * Alternatively, the normalization options object can be provided in place of
+ * this argument, in which case the rest of the arguments are ignored.
+ * @param {string} [validationSets] Comma-separated validation set names. If not
+ * provided, the default validation set is used.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult)}
+ * Errors if the element is invalid, or <code>null</code> if it has been
+ * successfully validated and normalized. If requested by the options, the
+ * result object with the errors, the normalized whole record and the rest.
+ * @throws {module:x2node-common.X2UsageError} If unknown record type, record was
+ * not provided, invalid language or validation set specification, or any of
+ * the validators returned a promise.
+ * @throws {module:x2node-common.X2SyntaxError} If the pointer is invalid.
+ * @throws {module:x2node-common.X2DataError} If the element's container does
+ * not exist in the record.
+ */
+function normalizeSubtree(
+	recordTypes, recordTypeName, record, ptr, lang, validationSets) {
+
+	return normalizeRecordSubtree(
+		recordTypes, recordTypeName, record, ptr,
+		getOptions(lang, validationSets), false);
+}
+
+/**
+ * Asynchronous version of
+ * [normalizeRecordElement()]{@link module:x2node-validators.normalizeRecordElement},
+ * which allows validators to return promises.
+ *
+ * @function module:x2node-validators.normalizeRecordElementAsync
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Object} record The record that contains the element.
+ * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr Pointer of
+ * the element to validate.
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language for the error messages, or the normalization options.
+ * @param {string} [validationSets] Comma-separated validation set names.
+ * @returns {Promise.<(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult)>}
+ * Promise of the errors if the element is invalid, or <code>null</code> if it
+ * has been successfully validated and normalized, or, if requested by the
+ * options, of the result object.
+ */
+function normalizeSubtreeAsync(
+	recordTypes, recordTypeName, record, ptr, lang, validationSets) {
+
+	return new Promise(resolve => {
+		resolve(normalizeRecordSubtree(
+			recordTypes, recordTypeName, record, ptr,
+			getOptions(lang, validationSets), true));
+	});
+}
+
+/**
+ * Validate and normalize the record element either synchronously or
+ * asynchronously.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {string} recordTypeName Record type name.
+ * @param {Object} record The record.
+ * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr Element
+ * pointer.
+ * @param {module:x2node-validators~NormalizationOptions} options
+ * Normalization options.
+ * @param {boolean} async <code>true</code> to allow validators to return
+ * promises.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult|Promise)}
+ * Validation result, or promise of it if asynchronous.
+ */
+function normalizeRecordSubtree(
+	recordTypes, recordTypeName, record, ptr, options, async) {
+
+	// check that we have the record
+	if ((record === null) || ((typeof record) !== 'object'))
+		throw new common.X2UsageError('Record object was not provided.');
+
+	// get the record type descriptor (or throw error if invalid record type)
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// parse the pointer
+	const elementPtr = (
+		(typeof ptr) === 'string' ?
+			pointers.parse(recordTypeDesc, ptr, true) : ptr);
+
+	// collect the element's containers
+	const containers = new Array();
+	elementPtr.getValue(record, (p, val) => { containers.push(val); });
+	containers.pop();
 
 	// create validation context
-	const ctx = new ValidationContext(
-		recordTypes, recordTypeDesc, new MessageResolver(lang || '*'), sets);
+	const ctx = createContext(recordTypes, recordTypeDesc, options, async);
+	const sets = ctx.planSets;
+
+	// run validation/normalization of the element and return the result
+	return then(
+		(
+			elementPtr.isRoot() ?
+				normalizeWholeRecord(ctx, recordTypeDesc, record, sets) :
+				then(
+					normalizeAt(ctx, elementPtr, containers, sets),
+					() => resolveRefs(ctx)
+				)
+		),
+		() => getResult(ctx, record)
+	);
+}
+
+/**
+ * Validate/normalize the whole record: its properties and then the record
+ * itself.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context
+ * positioned at the record.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {Object} record The record.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeWholeRecord(ctx, recordTypeDesc, record, validationSets) {
+
+	// get the normalization plan
+	const plan = normalizationPlan.getContainerPlan(
+		recordTypeDesc, validationSets);
 
 	// run recursive validation/normalization of the record properties
-	normalizeChildren(ctx, recordTypeDesc, null, record, sets);
+	return then(
+		then(
+			normalizeChildren(ctx, plan, null, record),
+
+			// check existence of the referred records
+			() => resolveRefs(ctx)
+		),
+
+		// validate/normalize the record as a whole
+		() => runObjectValidators(ctx, plan.validators, ctx.getCopy(record))
+	);
+}
+
+/**
+ * Validate/normalize a record element (not the record itself) specified by a
+ * pointer. The context is first positioned at the element's parent element
+ * and restored to the record after the element is validated.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context
+ * positioned at the record.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Non-root element
+ * pointer.
+ * @param {Array.<(Object|Array)>} containers Chain of the element's
+ * containers, one for each pointer prefix starting with the record itself.
+ * The last one is the element's immediate container.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeAt(ctx, ptr, containers, validationSets) {
+
+	// check that the element may be specified for the operation
+	if (isReadOnlyAt(ctx, ptr, containers, validationSets)) {
+		ctx.addErrorFor(ptr, '{readOnly}');
+		return;
+	}
+
+	// position the context at the parent element
+	const chain = new Array();
+	for (let p = ptr.parent; !p.isRoot(); p = p.parent)
+		chain.unshift(p);
+	chain.forEach((p, i) => {
+		ctx.descend(getPointerToken(p), containers[i]);
+	});
+
+	// validate the element
+	const propPlan = normalizationPlan.getPropertyPlan(
+		ptr.propDesc, validationSets);
+	const containerObj = containers[containers.length - 1];
+	let result;
+	if (ptr.collectionElement) {
+		result = normalizeElement(
+			ctx, propPlan, containerObj, ptr.collectionElementIndex);
+	} else {
+		const token = getPointerToken(ptr);
+		result = normalizeProperty(
+			ctx, propPlan,
+			(
+				token !== propPlan.name ?
+					token.substring(0, token.indexOf(':')) : null
+			),
+			containerObj);
+	}
+
+	// restore the context position
+	return then(result, () => {
+		for (let i = chain.length; i > 0; i--)
+			ctx.ascend();
+	});
+}
+
+/**
+ * Tell if the record element specified by a pointer is present and does not
+ * accept values for the operation in the context, because the property or any
+ * of the properties above it is read-only for the operation. Unlike the
+ * properties encountered during the container traversal, an explicitly
+ * targeted element is never silently stripped.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Non-root element
+ * pointer.
+ * @param {Array.<(Object|Array)>} containers Chain of the element's
+ * containers.
+ * @param {Set.<string>} validationSets Validation sets.
+ * @returns {boolean} <code>true</code> if read-only.
+ */
+function isReadOnlyAt(ctx, ptr, containers, validationSets) {
+
+	const operation = ctx.operation;
+	if (!operation)
+		return false;
+
+	const containerObj = containers[containers.length - 1];
+	const value = (
+		ptr.collectionElement ?
+			containerObj[ptr.collectionElementIndex] :
+			containerObj[ptr.propDesc.name]);
+	if (value === undefined)
+		return false;
+
+	for (let p = ptr; !p.isRoot(); p = p.parent) {
+		const readOnlyIn = normalizationPlan.getPropertyPlan(
+			p.propDesc, validationSets).readOnlyIn;
+		if (readOnlyIn && readOnlyIn.has(operation))
+			return true;
+	}
+
+	return false;
+}
+
+/**
+ * Get the last token of the pointer.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Non-root pointer.
+ * @returns {string} The unescaped token.
+ */
+function getPointerToken(ptr) {
+
+	return ptr.toString().substring(ptr.parent.toString().length + 1).replace(
+		/~[01]/g, m => (m === '~0' ? '~' : '/'));
+}
+
+/**
+ * Get normalization options from the normalization function arguments. The
+ * arguments are either the language and the validation sets, or the options
+ * object in place of the language.
+ *
+ * @private
+ * @param {(string|module:x2node-validators~NormalizationOptions)} [lang]
+ * Language or the options.
+ * @param {string} [validationSets] Validation sets.
+ * @returns {module:x2node-validators~NormalizationOptions} The options.
+ */
+function getOptions(lang, validationSets) {
+
+	if ((lang !== null) && ((typeof lang) === 'object'))
+		return lang;
+
+	const allOptions = new Object();
+	if (lang)
+		allOptions.lang = lang;
+	if (validationSets)
+		allOptions.validationSets = validationSets;
+
+	return allOptions;
+}
+
+/**
+ * Create validation context.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordType Record types
+ * library.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+ * type descriptor.
+ * @param {module:x2node-validators~NormalizationOptions} options Normalization
+ * options.
+ * @param {boolean} async <code>true</code> to allow validators to return
+ * promises.
+ * @returns {module:x2node-validators~ValidationContext} The context.
+ */
+function createContext(recordTypes, recordTypeDesc, options, async) {
+
+	const validationSets = parseValidationSets(options.validationSets);
 
-	// validate/normalize the record as a whole
-	const recordValidators = getValidators(recordTypeDesc, false, sets);
-	if (recordValidators)
-		for (let validator of recordValidators)
-			validator(ctx, record);
+	return new ValidationContext(
+		recordTypes, recordTypeDesc, new MessageResolver(
+			options.lang || '*', recordTypes.definition.defaultLanguage,
+			recordTypes[PARAM_FORMATTERS]),
+		validationSets,
+		normalizationPlan.getPlanSets(recordTypes, validationSets),
+		async, options);
+}
+
+/**
+ * Get normalization function result.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {Object} record The record.
+ * @returns {(module:x2node-validators~ValidationErrors|module:x2node-validators~NormalizationResult)}
+ * Validation errors or <code>null</code> if none, or the result object if
+ * requested by the normalization options.
+ */
+function getResult(ctx, record) {
 
-	// return the result
-	return ctx.getResult();
+	return (
+		ctx.extendedResult ?
+			buildResult(ctx, 'record', ctx.getCopy(record)) : ctx.getResult());
+}
+
+/**
+ * Build normalization result object.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {string} dataPropName Name of the result object property for the
+ * normalized data.
+ * @param {*} data The normalized data.
+ * @returns {Object} The result object.
+ */
+function buildResult(ctx, dataPropName, data) {
+
+	const result = {
+		errors: ctx.getResult()
+	};
+	result[dataPropName] = data;
+
+	const changes = ctx.getChanges();
+	if (changes)
+		result.changes = changes;
+
+	if (ctx.options.warnings)
+		result.warnings = ctx.getWarnings();
+
+	return result;
+}
+
+/**
+ * Parse validation sets specification.
+ *
+ * @private
+ * @param {string} [validationSets] Comma-separated validation set names.
+ * @returns {Set.<string>} Validation sets including the default "*" set.
+ */
+function parseValidationSets(validationSets) {
+
+	return new Set(
+		(validationSets ? validationSets.trim() + ',*' : '*').split(/\s*,\s*/));
 }
 
 /**
@@ -61,183 +514,512 @@ function normalize(recordTypes, recordTypeName, record, lang, validationSets) {
  *
  * @private
  * @param {module:x2node-validators~ValidationContext} ctx Validation context.
- * @param {module:x2node-records~PropertiesContainer} container Container
- * descriptor.
+ * @param {module:x2node-validators~ContainerPlan} containerPlan Container
+ * normalization plan.
  * @param {?string} subtypeName For a subtype sub-container of a polymorphic
  * object container this is the subtype name.
  * @param {Object} containerObj Unvalidated container object matching the
  * container descriptor.
- * @param {Set.<string>} validationSets Validation sets.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
  */
-function normalizeChildren(
-	ctx, container, subtypeName, containerObj, validationSets) {
+function normalizeChildren(ctx, containerPlan, subtypeName, containerObj) {
 
 	// validate type if polymorphic object container
-	let subtype;
-	if (container.isPolymorphObject()) {
-		subtype = containerObj[container.typePropertyName];
+	let subtype, knownProperties = containerPlan.knownProperties;
+	if (containerPlan.typePropertyName) {
+		const container = containerPlan.container;
+		subtype = containerObj[containerPlan.typePropertyName];
 		if (((typeof subtype) !== 'string') || !container.hasProperty(subtype)) {
 			ctx.addErrorFor(
-				ctx.currentPointer.toString() + '/' + container.typePropertyName,
+				ctx.currentPointer.toString() + '/' +
+					containerPlan.typePropertyName,
 				'{invalidType}');
 			return;
 		}
+		const subtypePlan = containerPlan.entries.find(
+			entry => (entry.subtype && (entry.name === subtype)));
+		if (subtypePlan)
+			knownProperties = subtypePlan.knownProperties;
 	}
 
+	// check unknown properties unless subtype sub-container
+	if (knownProperties && !subtypeName)
+		checkUnknownProperties(ctx, containerPlan, knownProperties, containerObj);
+
 	// go over container properties
-	for (let propName of container.allPropertyNames) {
-		const propDesc = container.getPropertyDesc(propName);
+	return forEach(containerPlan.entries, entry => {
 
-		// skip views
-		if (propDesc.isView())
-			continue;
+		// stop if reached maximum errors
+		if (ctx.skipIfHalted())
+			return;
 
 		// check if subtype
-		if (propDesc.isSubtype()) {
-			if (propDesc.name === subtype) {
-				normalizeChildren(
-					ctx, propDesc.nestedProperties, subtype, containerObj,
-					validationSets);
-				const validators = getValidators(propDesc, false, validationSets);
-				if (validators)
-					for (let validator of validators)
-						validator(ctx, containerObj);
-			}
-			continue;
+		if (entry.subtype) {
+			if (entry.name === subtype)
+				return then(
+					normalizeChildren(ctx, entry.nested, subtype, containerObj),
+					() => runObjectValidators(
+						ctx, entry.validators, ctx.getCopy(containerObj))
+				);
+			return;
 		}
 
-		// get property value from the record
-		const originalValue = containerObj[propName];
-
-		// descend into validating the property
-		ctx.descend(
-			(subtypeName ? subtypeName + ':' + propName : propName),
-			containerObj
-		);
-
-		// validate property's nested elements if any
-		let value = originalValue;
-		if (propDesc.isArray()) {
-			if (Array.isArray(value) && (value.length > 0)) {
-				const elementValidators = getValidators(
-					propDesc, true, validationSets);
-				if (propDesc.scalarValueType === 'object') {
-					for (let i = 0, len = value.length; i < len; i++) {
-						const originalElementValue = value[i];
-						let elementValue = originalElementValue;
-						ctx.descend(String(i), value);
-						if (((typeof elementValue) === 'object') &&
-							(elementValue !== null))
-							normalizeChildren(
-								ctx, propDesc.nestedProperties, null,
-								elementValue, validationSets);
-						if (elementValidators) {
-							for (let validator of elementValidators)
-								elementValue = validator(ctx, elementValue);
-							if (elementValue !== originalElementValue)
-								value[i] = elementValue;
-						}
-						ctx.ascend();
-					}
-				} else if (elementValidators) {
-					for (let i = 0, len = value.length; i < len; i++) {
-						const originalElementValue = value[i];
-						let elementValue = originalElementValue;
-						ctx.descend(String(i), value);
-						for (let validator of elementValidators)
-							elementValue = validator(ctx, elementValue);
-						if (elementValue !== originalElementValue)
-							value[i] = elementValue;
-						ctx.ascend();
-					}
-				}
-			}
-		} else if (propDesc.isMap()) {
-			if (((typeof value) === 'object') && (value !== null)) {
-				const keys = Object.keys(value);
-				const elementValidators = getValidators(
-					propDesc, true, validationSets);
-				if (propDesc.scalarValueType === 'object') {
-					for (let key of keys) {
-						const originalElementValue = value[key];
-						let elementValue = originalElementValue;
-						ctx.descend(key, value);
-						if (((typeof elementValue) === 'object') &&
-							(elementValue !== null))
-							normalizeChildren(
-								ctx, propDesc.nestedProperties, null,
-								elementValue, validationSets);
-						if (elementValidators) {
-							for (let validator of elementValidators)
-								elementValue = validator(ctx, elementValue);
-							if (elementValue !== originalElementValue)
-								value[key] = elementValue;
-						}
-						ctx.ascend();
-					}
-				} else if (elementValidators) {
-					for (let key of keys) {
-						const originalElementValue = value[key];
-						let elementValue = originalElementValue;
-						ctx.descend(key, value);
-						for (let validator of elementValidators)
-							elementValue = validator(ctx, elementValue);
-						if (elementValue !== originalElementValue)
-							value[key] = elementValue;
-						ctx.ascend();
-					}
+		// reject or strip property not accepted for the operation
+		const operation = ctx.operation;
+		if (operation && entry.readOnlyIn && entry.readOnlyIn.has(operation)) {
+			if (containerObj[entry.name] !== undefined) {
+				const propPtr = ctx.currentPointer.createChildPointer(
+					subtypeName ? subtypeName + ':' + entry.name : entry.name);
+				if (ctx.readOnlyProperties === 'strip') {
+					ctx.recordChange(
+						propPtr, ctx.getCopy(containerObj)[entry.name],
+						undefined, null);
+					ctx.deleteValue(containerObj, entry.name);
+				} else {
+					ctx.addErrorFor(propPtr, '{readOnly}');
 				}
 			}
-		} else if ((propDesc.scalarValueType === 'object') &&
-			((typeof value) === 'object') && (value !== null)) {
-			normalizeChildren(
-				ctx, propDesc.nestedProperties, null, value, validationSets);
+			return;
 		}
 
-		// run property validators
-		const validators = getValidators(propDesc, false, validationSets);
-		if (validators)
-			for (let validator of validators)
-				value = validator(ctx, value);
+		// skip absent property in partial mode
+		if (ctx.partial && (containerObj[entry.name] === undefined))
+			return;
+
+		// validate the property
+		return normalizeProperty(ctx, entry, subtypeName, containerObj);
+	});
+}
 
-		// replace original value in the record if was normalized
-		if (value !== originalValue)
-			containerObj[propName] = value;
+/**
+ * Report or remove container object properties not defined in the container
+ * according to the container's unknown properties policy.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context
+ * positioned at the container object.
+ * @param {module:x2node-validators~ContainerPlan} containerPlan Container
+ * normalization plan.
+ * @param {Set.<string>} knownProperties Names of the properties that may appear
+ * in the container object.
+ * @param {Object} containerObj The container object.
+ */
+function checkUnknownProperties(
+	ctx, containerPlan, knownProperties, containerObj) {
 
-		// ascend from the property validation
-		ctx.ascend();
+	for (let propName of Object.keys(containerObj)) {
+		if (knownProperties.has(propName))
+			continue;
+		const curPtr = ctx.currentPointer;
+		const propPtr = curPtr.toString() + '/' +
+			propName.replace(/~/g, '~0').replace(/\//g, '~1');
+		if (containerPlan.unknownProperties === 'strip') {
+			ctx.recordChange(
+				propPtr, ctx.getCopy(containerObj)[propName], undefined, null);
+			ctx.deleteValue(containerObj, propName);
+		} else {
+			ctx.addRawErrorFor(
+				propPtr,
+				(curPtr.propDesc || ctx.recordTypeDesc),
+				containerPlan.container.nestedPath + propName,
+				'{unknownProperty}', { property: propName });
+		}
 	}
 }
 
 /**
- * Get validators sequence for the specified subject descriptor.
+ * Validate/normalize container object property.
  *
  * @private
- * @param {(module:x2node-records~RecordTypeDescriptor|module:x2node-records~PropertyDescriptor)} subjDesc
- * Descriptor with validators on it.
- * @param {boolean} element <code>true</code> for collection element validators.
- * @param {Set.<string>} validationSets Validation sets.
- * @returns {Array.<module:x2node-validators.curriedValidator>} List of
- * validators to run or <code>null</code> if none.
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-validators~PropertyPlan} propPlan Property
+ * normalization plan.
+ * @param {?string} subtypeName For a subtype sub-container of a polymorphic
+ * object container this is the subtype name.
+ * @param {Object} containerObj The container object.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeProperty(ctx, propPlan, subtypeName, containerObj) {
+
+	// get property value from the record
+	const propName = propPlan.name;
+	let originalValue = ctx.getCopy(containerObj)[propName];
+
+	// wrap single value into array in coercion mode
+	if (propPlan.array && ctx.coerce && (originalValue !== undefined) &&
+		(originalValue !== null) && !Array.isArray(originalValue)) {
+		const wrappedValue = [ originalValue ];
+		ctx.recordChange(
+			ctx.currentPointer.createChildPointer(
+				subtypeName ? subtypeName + ':' + propName : propName),
+			originalValue, wrappedValue, null);
+		originalValue = wrappedValue;
+		ctx.setValue(containerObj, propName, originalValue);
+	}
+
+	// descend into validating the property
+	ctx.descend(
+		(subtypeName ? subtypeName + ':' + propName : propName),
+		ctx.getCopy(containerObj)
+	);
+
+	// validate property's nested elements if any
+	return then(
+		normalizeNested(ctx, propPlan, originalValue),
+		() => {
+
+			// get the value with normalized nested elements (copy if copy mode)
+			const nestedValue = ctx.getCopy(originalValue);
+
+			// run property validators
+			return then(
+				runValidators(
+					ctx, propPlan.validators, nestedValue, propPlan.bail),
+
+				// replace original value in the record if was normalized
+				value => {
+					if (value !== nestedValue)
+						ctx.setValue(containerObj, propName, value);
+
+					// ascend from the property validation
+					ctx.ascend();
+				}
+			);
+		}
+	);
+}
+
+/**
+ * Validate/normalize nested elements of a property value: collection elements
+ * or nested object properties.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context
+ * positioned at the property.
+ * @param {module:x2node-validators~PropertyPlan} propPlan Property
+ * normalization plan.
+ * @param {*} value The property value.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeNested(ctx, propPlan, value) {
+
+	if (propPlan.array) {
+		if (propPlan.traverseElements && Array.isArray(value) &&
+			(value.length > 0))
+			return forEach(
+				value, (_, i) => normalizeElement(ctx, propPlan, value, i));
+	} else if (propPlan.map) {
+		if (propPlan.traverseElements && ((typeof value) === 'object') &&
+			(value !== null))
+			return forEach(
+				(
+					ctx.partial ?
+						Object.keys(value).filter(key => !ctx.isEmpty(
+							value[key])) :
+						Object.keys(value)
+				),
+				key => normalizeElement(ctx, propPlan, value, key)
+			);
+	} else if (propPlan.nested && ((typeof value) === 'object') &&
+		(value !== null)) {
+		return normalizeChildren(ctx, propPlan.nested, null, value);
+	}
+}
+
+/**
+ * Validate/normalize collection property element.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context
+ * positioned at the collection property.
+ * @param {module:x2node-validators~PropertyPlan} propPlan Collection property
+ * normalization plan.
+ * @param {(Array|Object)} collection The collection.
+ * @param {(number|string)} key Element index or map key.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ */
+function normalizeElement(ctx, propPlan, collection, key) {
+
+	if (ctx.skipIfHalted())
+		return;
+
+	const originalElementValue = ctx.getCopy(collection)[key];
+
+	ctx.descend(String(key), ctx.getCopy(collection));
+
+	return then(
+		(
+			propPlan.nested && ((typeof originalElementValue) === 'object') &&
+				(originalElementValue !== null) ?
+				normalizeChildren(
+					ctx, propPlan.nested, null, originalElementValue) :
+				undefined
+		),
+		() => {
+			const nestedValue = ctx.getCopy(originalElementValue);
+			return then(
+				runValidators(
+					ctx, propPlan.elementValidators, nestedValue, propPlan.bail),
+				elementValue => {
+					if (elementValue !== nestedValue)
+						ctx.setValue(collection, key, elementValue);
+					ctx.ascend();
+				}
+			);
+		}
+	);
+}
+
+/**
+ * Run validators sequence on a property or collection element value. Each
+ * validator receives the value returned by the previous one.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {?Array.<module:x2node-validators.curriedValidator>} validators The
+ * validators, or <code>null</code> if none.
+ * @param {*} value The value to validate/normalize.
+ * @param {boolean} [bail] <code>true</code> to skip the remaining validators
+ * once the current record element has an error.
+ * @returns {*} The normalized value, or promise of it if asynchronous
+ * validation is in progress.
+ * @throws {module:x2node-common.X2UsageError} If a validator returned a promise
+ * and the validation is not asynchronous.
  */
-function getValidators(subjDesc, element, validationSets) {
+function runValidators(ctx, validators, value, bail) {
 
-	const validators = subjDesc.validators;
+	if (!validators)
+		return value;
+
+	return reduce(validators, (curValue, validator) => {
+		if ((validator.wholeRecord && ctx.partial) || (
+			bail && ctx.hasErrorsFor(ctx.currentPointer)) || ctx.skipIfHalted())
+			return curValue;
+		return then(callValidator(ctx, validator, curValue), v => {
+			if (!Object.is(v, curValue))
+				ctx.recordChange(ctx.currentPointer, curValue, v, validator);
+			return v;
+		});
+	}, value);
+}
+
+/**
+ * Run record or polymorphic object subtype validators. Unlike the property
+ * validators, each validator receives the same object and the values returned
+ * by the validators are ignored.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {?Array.<module:x2node-validators.curriedValidator>} validators The
+ * validators, or <code>null</code> if none.
+ * @param {Object} obj The record or the polymorphic object.
+ * @returns {(Promise|undefined)} Promise if asynchronous validation is in
+ * progress.
+ * @throws {module:x2node-common.X2UsageError} If a validator returned a promise
+ * and the validation is not asynchronous.
+ */
+function runObjectValidators(ctx, validators, obj) {
 
 	if (!validators)
-		return null;
+		return;
 
-	const allValidators = new Array();
-	for (let set in validators) {
-		if (element && !set.startsWith('element:'))
-			continue;
-		if (validationSets.has(element ? set.substring('element:'.length) : set))
-			for (let validator of validators[set])
-				allValidators.push(validator);
+	return forEach(validators, validator => {
+		if ((validator.wholeRecord && ctx.partial) || ctx.skipIfHalted())
+			return;
+		const res = callValidator(ctx, validator, obj);
+		if (isPromise(res))
+			return res.then(() => {});
+	});
+}
+
+/**
+ * Call validator making it the current validator in the context for the
+ * duration of the call. The current validator is reset when the validator
+ * completes, including when it throws an error or its promise is rejected.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @param {module:x2node-validators.curriedValidator} validator The validator.
+ * @param {*} value The value to pass to the validator.
+ * @returns {*} The validator result, or promise of it.
+ * @throws {module:x2node-common.X2UsageError} If the validator returned a
+ * promise and the validation is not asynchronous.
+ */
+function callValidator(ctx, validator, value) {
+
+	ctx.setCurrentValidator(validator);
+	let res;
+	try {
+		res = validator(ctx, value);
+	} catch (err) {
+		ctx.setCurrentValidator(null);
+		throw err;
+	}
+
+	if (!isPromise(res)) {
+		ctx.setCurrentValidator(null);
+		return res;
+	}
+
+	if (!ctx.async) {
+		ctx.setCurrentValidator(null);
+		throw new common.X2UsageError(
+			'Validator for ' + (ctx.currentPointer.toString() || 'record') +
+				' returned a promise, asynchronous validation must be used.');
 	}
 
-	return (allValidators.length > 0 ? allValidators : null);
+	return res.then(v => {
+		ctx.setCurrentValidator(null);
+		return v;
+	}, err => {
+		ctx.setCurrentValidator(null);
+		return Promise.reject(err);
+	});
+}
+
+/**
+ * Check existence of the target records of the references registered in the
+ * context by the <code>refExists</code> validators and report errors for the
+ * missing ones. The resolver function is called once for each target record
+ * type with all the distinct ids.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Validation context.
+ * @returns {(Promise|undefined)} Promise if asynchronous resolution is in
+ * progress.
+ * @throws {module:x2node-common.X2UsageError} If the resolver returned a
+ * promise and the validation is not asynchronous.
+ */
+function resolveRefs(ctx) {
+
+	const pendingRefs = ctx.takePendingRefs();
+	if (!pendingRefs || ctx.skipIfHalted())
+		return;
+
+	const resolver = ctx.refResolver;
+
+	return forEach(Array.from(pendingRefs.keys()), refTarget => {
+		const refs = pendingRefs.get(refTarget);
+		const ids = Array.from(refs.keys());
+		const resolved = resolver(refTarget, ids, ctx);
+		if (!ctx.async && isPromise(resolved))
+			throw new common.X2UsageError(
+				'Reference resolver for ' + refTarget + ' returned a promise,' +
+					' asynchronous validation must be used.');
+		return then(resolved, existingIds => {
+			const existing = new Set(existingIds);
+			for (let id of ids) {
+				if (existing.has(id))
+					continue;
+				for (let ref of refs.get(id)) {
+					ctx.setCurrentValidator(ref.validator);
+					ctx.addErrorFor(ref.pointer, '{refTargetNotFound}', {
+						ref: refTarget + '#' + String(id)
+					});
+				}
+			}
+			ctx.setCurrentValidator(null);
+		});
+	});
+}
+
+/**
+ * Tell if the specified value is a promise (a "thenable").
+ *
+ * @private
+ * @param {*} val The value to test.
+ * @returns {boolean} <code>true</code> if promise.
+ */
+function isPromise(val) {
+
+	return ((val !== null) &&
+		(((typeof val) === 'object') || ((typeof val) === 'function')) &&
+		((typeof val.then) === 'function'));
+}
+
+/**
+ * Call the function with the specified value, or, if the value is a promise,
+ * with the value the promise is fulfilled with.
+ *
+ * @private
+ * @param {*} val The value or a promise.
+ * @param {function} func The function.
+ * @returns {*} The function result, or a promise of it.
+ */
+function then(val, func) {
+
+	return (isPromise(val) ? val.then(func) : func(val));
+}
+
+/**
+ * Call the function for each list element in order. If the function returns a
+ * promise, the next element is not processed until the promise is fulfilled.
+ *
+ * @private
+ * @param {Array} list The list.
+ * @param {function} func The function that receives the list element and its
+ * index.
+ * @returns {(Promise|undefined)} Promise if the function returned a promise for
+ * any of the elements.
+ */
+function forEach(list, func) {
+
+	const len = list.length;
+	const next = i => {
+		for (; i < len; i++) {
+			const res = func(list[i], i);
+			if (isPromise(res))
+				return res.then(() => next(i + 1));
+		}
+	};
+
+	return next(0);
+}
+
+/**
+ * Reduce the list to a value in order. If the function returns a promise, the
+ * next element is not processed until the promise is fulfilled.
+ *
+ * @private
+ * @param {Array} list The list.
+ * @param {function} func The function that receives the current value and the
+ * list element and returns the new value or a promise of it.
+ * @param {*} initialVal Initial value.
+ * @returns {*} The resulting value, or a promise of it.
+ */
+function reduce(list, func, initialVal) {
+
+	const len = list.length;
+	const next = (i, val) => {
+		for (; i < len; i++) {
+			val = func(val, list[i]);
+			if (isPromise(val))
+				return val.then(v => next(i + 1, v));
+		}
+		return val;
+	};
+
+	return next(0, initialVal);
 }
 
-// export the normalization function
+// export the normalization functions
 exports.normalize = normalize;
+exports.normalizeAsync = normalizeAsync;
+exports.normalizeSubtree = normalizeSubtree;
+exports.normalizeSubtreeAsync = normalizeSubtreeAsync;
+
+// export internals used by other normalizers
+exports.PARAM_FORMATTERS = PARAM_FORMATTERS;
+exports.getOptions = getOptions;
+exports.createContext = createContext;
+exports.buildResult = buildResult;
+exports.parseValidationSets = parseValidationSets;
+exports.normalizeWholeRecord = normalizeWholeRecord;
+exports.normalizeAt = normalizeAt;
+exports.resolveRefs = resolveRefs;
+exports.then = then;
+exports.forEach = forEach;
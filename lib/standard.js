@@ -1,5 +1,7 @@
 'use strict';
 
+const common = require('x2node-common');
+
 
 /**
  * Standard validation error messages.
@@ -20,6 +22,9 @@ exports.VALIDATION_ERROR_MESSAGES = {
 	'notEmpty': {
 		'en-US': 'Expected to be empty.'
 	},
+	'unknownProperty': {
+		'en-US': 'Unknown property.'
+	},
 	'invalidValueType': {
 		'en-US': 'Invalid value type ${actual}, expected ${expected}.'
 	},
@@ -140,6 +145,39 @@ exports.VALIDATION_ERROR_MESSAGES = {
 	},
 	'notEmptyWhenNotPattern': {
 		'en-US': 'Expected to be empty when ${prop} has the provided value.'
+	},
+	'invalidPatchOperation': {
+		'en-US': 'Invalid patch operation.'
+	},
+	'invalidPointer': {
+		'en-US': 'Invalid pointer.'
+	},
+	'invalidPatchFrom': {
+		'en-US': 'Incompatible source location.'
+	},
+	'notModifiable': {
+		'en-US': 'May not be modified.'
+	},
+	'notRemovable': {
+		'en-US': 'May not be removed.'
+	},
+	'readOnly': {
+		'en-US': 'May not be specified.'
+	},
+	'invalidNumberString': {
+		'en-US': 'Not a valid number.'
+	},
+	'invalidBooleanString': {
+		'en-US': 'Not a valid boolean value.'
+	},
+	'invalidEpoch': {
+		'en-US': 'Timestamp is out of range.'
+	},
+	'notUnique': {
+		'en-US': 'Already used by another record.'
+	},
+	'refTargetNotFound': {
+		'en-US': 'Referred record ${ref} does not exist.'
 	}
 };
 
@@ -220,6 +258,85 @@ function hasMatchingSibling(ctx, propName, testValue, whenErrors) {
 	return false;
 }
 
+/**
+ * Check that the key values are not used by another record of the record type
+ * and add error to the context if they are.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Current validation
+ * context.
+ * @param {Object.<string,*>} values Key values by property paths.
+ * @param {*} value The validated value to return.
+ * @returns {*} The validated value, or a promise of it if the lookup function
+ * is asynchronous.
+ * @throws {module:x2node-common.X2UsageError} If no lookup function.
+ */
+function checkUnique(ctx, values, value) {
+
+	const lookup = (
+		ctx.options.uniqueLookup || ctx.recordTypes.definition.uniqueLookup);
+	if ((typeof lookup) !== 'function')
+		throw new common.X2UsageError(
+			'No uniqueness lookup function is provided for the unique' +
+				' validator.');
+
+	const recordTypeDesc = ctx.recordTypeDesc;
+	const record = (
+		ctx.containersChain.length > 0 ? ctx.containersChain[0] : value);
+	const exceptId = (
+		ctx.operation === 'update' ?
+			record[recordTypeDesc.idPropertyName] : undefined);
+
+	const check = exists => {
+		if (exists)
+			ctx.addError('{notUnique}', {
+				value: Object.keys(values).map(k => String(values[k])).join(
+					', '),
+				values: values
+			});
+		return value;
+	};
+
+	const res = lookup(
+		recordTypeDesc.name, values,
+		(exceptId === undefined ? null : exceptId), ctx);
+
+	return (
+		(res !== null) && ((typeof res) === 'object') &&
+			((typeof res.then) === 'function') ? res.then(check) : check(res));
+}
+
+/**
+ * Register reference for the target record existence check.
+ *
+ * @private
+ * @param {module:x2node-validators~ValidationContext} ctx Current validation
+ * context.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr Pointer of the
+ * record element with the reference.
+ * @param {*} ref The reference value. Ignored if not a valid reference.
+ */
+function addPendingRef(ctx, ptr, ref) {
+
+	if (((typeof ref) !== 'string') || ctx.hasErrorsFor(ptr))
+		return;
+
+	const refTarget = ref.substring(0, ref.indexOf('#'));
+	if (!ctx.recordTypes.hasRecordType(refTarget))
+		return;
+
+	let id;
+	try {
+		id = ctx.recordTypes.getRecordTypeDesc(refTarget).refToId(ref);
+	} catch (err) {
+		if (!(err instanceof common.X2SyntaxError))
+			throw err;
+		return;
+	}
+
+	ctx.addPendingRef(ptr, refTarget, id);
+}
+
 /**
  * Used to store dependency validators errors on the validation context.
  *
@@ -310,6 +427,19 @@ exports.VALIDATOR_DEFS = {
 		if ((value === undefined) || (value === null))
 			return value;
 
+		if (ctx.coerce && ((typeof value) === 'string')) {
+			const str = value.trim();
+			if (str.length === 0)
+				return undefined;
+			if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) {
+				ctx.addError('{invalidNumberString}', {
+					value: value
+				});
+				return value;
+			}
+			value = Number(str);
+		}
+
 		const actual = (typeof value);
 		if (actual !== 'number')
 			ctx.addError('{invalidValueType}', {
@@ -329,6 +459,20 @@ exports.VALIDATOR_DEFS = {
 		if ((value === undefined) || (value === null))
 			return value;
 
+		if (ctx.coerce && ((typeof value) === 'string')) {
+			const str = value.trim().toLowerCase();
+			if (str.length === 0)
+				return undefined;
+			if ((str === 'true') || (str === '1'))
+				return true;
+			if ((str === 'false') || (str === '0'))
+				return false;
+			ctx.addError('{invalidBooleanString}', {
+				value: value
+			});
+			return value;
+		}
+
 		const actual = (typeof value);
 		if (actual !== 'boolean')
 			ctx.addError('{invalidValueType}', {
@@ -344,6 +488,17 @@ exports.VALIDATOR_DEFS = {
 		if ((value === undefined) || (value === null))
 			return value;
 
+		if (ctx.coerce && ((typeof value) === 'number')) {
+			const dateVal = new Date(value);
+			if (Number.isNaN(dateVal.getTime())) {
+				ctx.addError('{invalidEpoch}', {
+					value: value
+				});
+				return value;
+			}
+			return dateVal.toISOString();
+		}
+
 		const actual = (typeof value);
 		if (actual !== 'string') {
 			ctx.addError('{invalidValueType}', {
@@ -583,7 +738,9 @@ exports.VALIDATOR_DEFS = {
 
 		const validVals = (Array.isArray(params[0]) ? params[0] : params);
 		if (!validVals.some(validVal => (value === validVal)))
-			ctx.addError('{invalidValue}');
+			ctx.addError('{invalidValue}', {
+				values: validVals
+			});
 
 		return value;
 	},
@@ -826,6 +983,61 @@ exports.VALIDATOR_DEFS = {
 		return value;
 	},
 
+	'unique': function(params, ctx, value) {
+
+		if ((value === undefined) || (value === null) ||
+			ctx.hasErrorsFor(ctx.currentPointer))
+			return value;
+
+		// single property
+		if (!params) {
+			const propPtr = ctx.currentPointer;
+			return checkUnique(ctx, {
+				[propPtr.propPath]: value
+			}, value);
+		}
+
+		// composite key on the object
+		if ((typeof value) !== 'object')
+			return value;
+		const curPtr = ctx.currentPointer;
+		const containerDesc = (
+			curPtr.propDesc ? curPtr.propDesc.nestedProperties :
+				ctx.recordTypeDesc);
+		const values = new Object();
+		for (let propName of params) {
+			const propValue = value[propName];
+			if ((propValue === undefined) || (propValue === null) ||
+				ctx.hasErrorsFor(curPtr.createChildPointer(propName)))
+				return value;
+			values[containerDesc.nestedPath + propName] = propValue;
+		}
+
+		return checkUnique(ctx, values, value);
+	},
+
+	'refExists': function(_, ctx, value) {
+
+		if ((value === undefined) || (value === null) ||
+			ctx.hasErrorsFor(ctx.currentPointer))
+			return value;
+
+		if ((typeof ctx.refResolver) !== 'function')
+			throw new common.X2UsageError(
+				'No reference resolver function is provided for the refExists' +
+					' validator.');
+
+		const curPtr = ctx.currentPointer;
+		if ((typeof value) === 'object') {
+			for (let key of Object.keys(value))
+				addPendingRef(ctx, curPtr.createChildPointer(key), value[key]);
+		} else {
+			addPendingRef(ctx, curPtr, value);
+		}
+
+		return value;
+	},
+
 	'requiredIf': function(params, ctx, value) {
 
 		if (isEmpty(ctx.currentPointer, ctx.currentPropDesc, value)) {
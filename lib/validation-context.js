@@ -27,19 +27,41 @@ class ValidationContext {
 	 * @param {module:x2node-validators~MessageResolver} messageResolver Message
 	 * resolver for the validation error messages.
 	 * @param {Set.<string>} validationSets Validation sets.
+	 * @param {Set.<string>} planSets Canonical validation sets combination used
+	 * to look up the normalization plans.
+	 * @param {boolean} [async] <code>true</code> if asynchronous validation.
+	 * @param {module:x2node-validators~NormalizationOptions} [options]
+	 * Normalization options.
 	 */
-	constructor(recordTypes, recordTypeDesc, messageResolver, validationSets) {
+	constructor(
+		recordTypes, recordTypeDesc, messageResolver, validationSets, planSets,
+		async, options) {
 
 		this._recordTypes = recordTypes;
 		this._recordTypeDesc = recordTypeDesc;
 		this._messageResolver = messageResolver;
 		this._validationSets = validationSets;
+		this._planSets = planSets;
+		this._async = (async ? true : false);
+		this._options = (options || new Object());
 
 		this._curPointer = pointers.parse(recordTypeDesc, '');
 		this._pointerStack = new Array();
 		this._containersChain = new Array();
+		this._containerKeys = new Array();
+		this._arrayElementsDepth = 0;
+
+		this._copies = (this._options.copy ? new Map() : null);
+		this._changes = (this._options.changes ? new Array() : null);
+		this._pendingRefs = null;
+
+		this._curValidator = null;
+
+		this._maxErrors = (this._options.maxErrors || 0);
+		this._errorsCount = 0;
 
 		this._result = new ValidationErrors();
+		this._warnings = (this._options.warnings ? new ValidationErrors() : null);
 	}
 
 	/**
@@ -55,6 +77,13 @@ class ValidationContext {
 		this._pointerStack.push(this._curPointer);
 		this._curPointer = this._curPointer.createChildPointer(pointerToken);
 		this._containersChain.push(containerObj);
+		this._containerKeys.push(
+			this._curPointer.collectionElement ?
+				pointerToken : this._curPointer.propDesc.name);
+
+		if (this._curPointer.collectionElement &&
+			this._curPointer.propDesc.isArray())
+			this._arrayElementsDepth++;
 	}
 
 	/**
@@ -64,8 +93,200 @@ class ValidationContext {
 	 */
 	ascend() {
 
+		if (this._curPointer.collectionElement &&
+			this._curPointer.propDesc.isArray())
+			this._arrayElementsDepth--;
+
 		this._curPointer = this._pointerStack.pop();
 		this._containersChain.pop();
+		this._containerKeys.pop();
+	}
+
+	/**
+	 * Set value in a container object or array that is either one of the
+	 * objects in the containers chain or the current element itself. In the
+	 * copy mode, the container and all its containers up to the record are
+	 * copied first, unless already copied, leaving the original objects intact.
+	 *
+	 * @protected
+	 * @param {(Object|Array)} containerObj The container object or array. May
+	 * be the original or the copy.
+	 * @param {(string|number)} key Property name, element index or map key.
+	 * @param {*} value The value to set.
+	 */
+	setValue(containerObj, key, value) {
+
+		this._getWritable(containerObj)[key] = value;
+	}
+
+	/**
+	 * Delete property from a container object. The same rules as for the
+	 * [setValue()]{@link module:x2node-validators~ValidationContext#setValue}
+	 * method apply.
+	 *
+	 * @protected
+	 * @param {Object} containerObj The container object. May be the original
+	 * or the copy.
+	 * @param {string} key Property name or map key.
+	 */
+	deleteValue(containerObj, key) {
+
+		delete this._getWritable(containerObj)[key];
+	}
+
+	/**
+	 * Get the copy of the object made in the copy mode.
+	 *
+	 * @protected
+	 * @param {*} obj The original object (or the copy itself).
+	 * @returns {*} The copy, or the object itself if not copied (or not in the
+	 * copy mode).
+	 */
+	getCopy(obj) {
+
+		const copy = (this._copies && this._copies.get(obj));
+
+		return (copy || obj);
+	}
+
+	/**
+	 * Get version of the container object that can be modified. In the copy
+	 * mode, this is the container's copy, which is made on the first request
+	 * and linked into the copy of the container's own container.
+	 *
+	 * @private
+	 * @param {(Object|Array)} containerObj The container object or array.
+	 * @returns {(Object|Array)} The modifiable container.
+	 */
+	_getWritable(containerObj) {
+
+		// check if not copy mode or already copied
+		if (!this._copies)
+			return containerObj;
+		let copy = this._copies.get(containerObj);
+		if (copy)
+			return copy;
+
+		// locate the container in the chain or assume it is the current element
+		const chain = this._containersChain;
+		let depth = chain.lastIndexOf(containerObj);
+		if (depth < 0)
+			depth = chain.length;
+
+		// make the copy
+		copy = (
+			Array.isArray(containerObj) ?
+				Array.from(containerObj) :
+				Object.assign(new Object(), containerObj));
+		this._copies.set(containerObj, copy);
+		this._copies.set(copy, copy);
+		if (depth < chain.length)
+			chain[depth] = copy;
+
+		// link the copy into the parent container
+		if (depth > 0)
+			this.setValue(
+				chain[depth - 1], this._containerKeys[depth - 1], copy);
+
+		// return the copy
+		return copy;
+	}
+
+	/**
+	 * Record a change of a record element value, if changes are collected.
+	 *
+	 * @protected
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr Pointer
+	 * of the changed element.
+	 * @param {*} originalValue The value before the change.
+	 * @param {*} value The new value, <code>undefined</code> if the value was
+	 * removed.
+	 * @param {?module:x2node-validators.curriedValidator} validator The
+	 * validator that made the change, or <code>null</code> if the change was
+	 * made by the framework itself.
+	 */
+	recordChange(ptr, originalValue, value, validator) {
+
+		if (!this._changes)
+			return;
+
+		this._changes.push({
+			pointer: ptr.toString(),
+			originalValue: originalValue,
+			value: value,
+			validatorId: ((validator && validator.validatorId) || null)
+		});
+	}
+
+	/**
+	 * Get changes recorded during the normalization.
+	 *
+	 * @protected
+	 * @returns {?Array.<module:x2node-validators~NormalizationChange>} The
+	 * changes in the order they were made, or <code>null</code> if changes are
+	 * not collected.
+	 */
+	getChanges() {
+
+		return this._changes;
+	}
+
+	/**
+	 * Register a reference, whose target record existence needs to be checked
+	 * once the record elements are validated. The reference is associated with
+	 * the validator currently being invoked.
+	 *
+	 * @protected
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr Pointer of the
+	 * record element with the reference.
+	 * @param {string} refTarget Reference target record type name.
+	 * @param {(string|number)} id Target record id.
+	 */
+	addPendingRef(ptr, refTarget, id) {
+
+		if (!this._pendingRefs)
+			this._pendingRefs = new Map();
+		let refs = this._pendingRefs.get(refTarget);
+		if (!refs)
+			this._pendingRefs.set(refTarget, refs = new Map());
+		let idRefs = refs.get(id);
+		if (!idRefs)
+			refs.set(id, idRefs = new Array());
+		idRefs.push({
+			pointer: ptr,
+			validator: this._curValidator
+		});
+	}
+
+	/**
+	 * Get references registered for the target record existence check and
+	 * clear the registry.
+	 *
+	 * @protected
+	 * @returns {?Map.<string,Map.<(string|number),Array.<Object>>>} The
+	 * references by target record type names and then by target record ids, or
+	 * <code>null</code> if none. Each reference has <code>pointer</code> and
+	 * <code>validator</code> properties.
+	 */
+	takePendingRefs() {
+
+		const pendingRefs = this._pendingRefs;
+		this._pendingRefs = null;
+
+		return pendingRefs;
+	}
+
+	/**
+	 * Mark the validator as being currently invoked. Errors reported while the
+	 * validator is current are associated with it.
+	 *
+	 * @protected
+	 * @param {?module:x2node-validators.curriedValidator} validator The
+	 * validator, or <code>null</code> when no validator is being invoked.
+	 */
+	setCurrentValidator(validator) {
+
+		this._curValidator = validator;
 	}
 
 	/**
@@ -109,6 +330,165 @@ class ValidationContext {
 	 */
 	get recordTypeDesc() { return this._recordTypeDesc; }
 
+	/**
+	 * <code>true</code> if the validation is asynchronous, in which case the
+	 * validators are allowed to return promises of the normalized values.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get async() { return this._async; }
+
+	/**
+	 * <code>true</code> if the record element currently being validated is
+	 * validated in the partial mode. In the partial mode, which is used to
+	 * validate merge-patch style updates, absent properties are not validated
+	 * and validators marked as whole-record-only are not invoked. Elements of
+	 * arrays are always validated in full, because arrays are replaced by a
+	 * merge-patch as a whole.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get partial() {
+		return (
+			(this._options.partial ? true : false) &&
+				(this._arrayElementsDepth === 0));
+	}
+
+	/**
+	 * <code>true</code> if the coercion mode is on, in which case the standard
+	 * type validators convert values submitted as strings (for example, from an
+	 * HTML form) to the property value types.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get coerce() { return (this._options.coerce ? true : false); }
+
+	/**
+	 * Kind of the operation, for which the record is validated ("create" or
+	 * "update"), or <code>null</code> if not specified.
+	 *
+	 * @member {?string}
+	 * @readonly
+	 */
+	get operation() { return (this._options.operation || null); }
+
+	/**
+	 * Normalization options passed by the caller to the normalization function.
+	 * Besides the options recognized by the module, the object may contain any
+	 * application-specific values (such as the current user or tenant) for use
+	 * by custom validators.
+	 *
+	 * @member {module:x2node-validators~NormalizationOptions}
+	 * @readonly
+	 */
+	get options() { return this._options; }
+
+	/**
+	 * Active validation sets.
+	 *
+	 * @protected
+	 * @member {Set.<string>}
+	 * @readonly
+	 */
+	get validationSets() { return this._validationSets; }
+
+	/**
+	 * Canonical validation sets combination used to look up the normalization
+	 * plans. Unlike <code>validationSets</code>, includes only the sets used by
+	 * the validators in the library.
+	 *
+	 * @protected
+	 * @member {Set.<string>}
+	 * @readonly
+	 */
+	get planSets() { return this._planSets; }
+
+	/**
+	 * What to do with the values for the properties not accepted for the
+	 * operation: "reject" or "strip".
+	 *
+	 * @protected
+	 * @member {string}
+	 * @readonly
+	 */
+	get readOnlyProperties() {
+		return (this._options.readOnlyProperties || 'reject');
+	}
+
+	/**
+	 * <code>true</code> if the copy mode is on, in which the normalized values
+	 * are set into copies of the containers leaving the original record intact.
+	 *
+	 * @protected
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get copy() { return (this._copies !== null); }
+
+	/**
+	 * <code>true</code> if the normalization function returns a result object
+	 * rather than just the validation errors, which is the case in the copy mode
+	 * and when changes or warnings are collected.
+	 *
+	 * @protected
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get extendedResult() {
+		return (
+			(this._copies !== null) || (this._changes !== null) ||
+				(this._warnings !== null));
+	}
+
+	/**
+	 * Reference resolver function used to check if reference targets exist
+	 * taken from the options or from the record types library definition, or
+	 * <code>undefined</code> if none.
+	 *
+	 * @protected
+	 * @member {module:x2node-validators~refResolver}
+	 * @readonly
+	 */
+	get refResolver() {
+		return (
+			this._options.refResolver ||
+				this._recordTypes.definition.refResolver);
+	}
+
+	/**
+	 * <code>true</code> if the maximum number of errors has been reached and
+	 * the validation must stop.
+	 *
+	 * @protected
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get halted() {
+		return ((this._maxErrors > 0) && (this._errorsCount >= this._maxErrors));
+	}
+
+	/**
+	 * Tell if the maximum number of errors has been reached and, if so, mark
+	 * the result as truncated. Called when the validation is about to skip
+	 * remaining work, so that the result is marked truncated only if something
+	 * is actually left unchecked.
+	 *
+	 * @protected
+	 * @returns {boolean} <code>true</code> if the validation must stop.
+	 */
+	skipIfHalted() {
+
+		if (!this.halted)
+			return false;
+
+		this._result.markTruncated();
+
+		return true;
+	}
+
 	/**
 	 * Pointer at the record element currently being validated.
 	 *
@@ -157,14 +537,122 @@ class ValidationContext {
 		const subjDesc = (
 			propPtr.propDesc === null ? this._recordTypeDesc : propPtr.propDesc);
 
-		const paramsWithTitle = (params ? Object.create(params) : new Object());
-		const title = this._messageResolver.renderMessage(subjDesc.title);
-		paramsWithTitle['field'] = title;
-		paramsWithTitle['Field'] =
-			title.charAt(0).toUpperCase() + title.substring(1);
+		this.addRawErrorFor(
+			propPtr.toString(), subjDesc, propPtr.propPath, message, params);
+	}
+
+	/**
+	 * Add validation error for a pointer that does not necessarily point at a
+	 * valid record element (for example, an unknown property or an invalid
+	 * pointer submitted by the client).
+	 *
+	 * @protected
+	 * @param {string} ptr The pointer string used as the error key.
+	 * @param {(module:x2node-records~RecordTypeDescriptor|module:x2node-records~PropertyDescriptor)} subjDesc
+	 * Descriptor that provides the title and the validation error messages for
+	 * the error.
+	 * @param {?string} propPath Property path for the error details, or
+	 * <code>null</code> if unknown.
+	 * @param {string} message Validation error message id in curly braces or
+	 * message template.
+	 * @param {Object.<string,*>} [params] Validation error message parameters.
+	 */
+	addRawErrorFor(ptr, subjDesc, propPath, message, params) {
+
+		const validator = this._curValidator;
+		if (validator && validator.warning) {
+			this._addMessage(
+				this._warnings, ptr, subjDesc, propPath, message, params);
+			return;
+		}
 
-		this._result.addError(ptr, this._messageResolver.getMessage(
-			subjDesc.validationErrorMessages, message, paramsWithTitle));
+		if (this.skipIfHalted())
+			return;
+
+		this._addMessage(this._result, ptr, subjDesc, propPath, message, params);
+
+		this._errorsCount++;
+	}
+
+	/**
+	 * Add validation warning associated with the record element currently being
+	 * validated. Unlike errors, warnings do not make the record invalid. Note,
+	 * that warnings are collected only if <code>warnings</code> normalization
+	 * option is set. Otherwise, the warning is ignored.
+	 *
+	 * @param {string} message Validation warning message id in curly braces or
+	 * message template.
+	 * @param {Object.<string,*>} [params] Validation warning message parameters.
+	 */
+	addWarning(message, params) {
+
+		this.addWarningFor(this._curPointer, message, params);
+	}
+
+	/**
+	 * Add validation warning associated with the record element specified by a
+	 * JSON pointer. As with
+	 * [addWarning()]{@link module:x2node-validators~ValidationContext#addWarning},
+	 * the warning is ignored unless <code>warnings</code> normalization option
+	 * is set.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @param {string} message Validation warning message id in curly braces or
+	 * message template.
+	 * @param {Object.<string,*>} [params] Validation warning message parameters.
+	 */
+	addWarningFor(ptr, message, params) {
+
+		const propPtr = (
+			(typeof ptr) === 'string' ?
+				pointers.parse(this._recordTypeDesc, ptr) : ptr);
+
+		const subjDesc = (
+			propPtr.propDesc === null ? this._recordTypeDesc : propPtr.propDesc);
+
+		this._addMessage(
+			this._warnings, propPtr.toString(), subjDesc, propPtr.propPath,
+			message, params);
+	}
+
+	/**
+	 * Add validation message to the errors or the warnings.
+	 *
+	 * @private
+	 * @param {?module:x2node-validators~ValidationErrors} target The errors or
+	 * the warnings object, or <code>null</code> to ignore the message.
+	 * @param {string} ptr The pointer string used as the message key.
+	 * @param {(module:x2node-records~RecordTypeDescriptor|module:x2node-records~PropertyDescriptor)} subjDesc
+	 * Descriptor that provides the title and the validation error messages.
+	 * @param {?string} propPath Property path for the message details.
+	 * @param {string} message Message id in curly braces or message template.
+	 * @param {Object.<string,*>} [params] Message parameters.
+	 */
+	_addMessage(target, ptr, subjDesc, propPath, message, params) {
+
+		if (!target)
+			return;
+
+		const validator = this._curValidator;
+		const paramsCopy = Object.assign(new Object(), params);
+		target.addError(ptr, this._messageResolver.getElementMessage(
+			subjDesc.validationErrorMessages, subjDesc.title, message,
+			paramsCopy), {
+			messageId: (
+				/^\{.+\}$/.test(message) ?
+					message.substring(1, message.length - 1) : null),
+			params: paramsCopy,
+			validatorId: (validator && validator.validatorId),
+			validatorParams: (validator && validator.validatorParams),
+			propPath: propPath,
+			source: {
+				resolver: this._messageResolver,
+				messages: subjDesc.validationErrorMessages,
+				title: subjDesc.title,
+				message: message
+			}
+		});
 	}
 
 	/**
@@ -204,6 +692,76 @@ class ValidationContext {
 		return this._result.hasErrors(ptr);
 	}
 
+	/**
+	 * Tell if there are validation errors for the specified record element or
+	 * any element nested in it. See
+	 * [hasErrorsFor()]{@link module:x2node-validators~ValidationContext#hasErrorsFor}
+	 * for which errors are available at the time a validator runs.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @returns {boolean} <code>true</code> if has errors.
+	 */
+	hasErrorsUnder(ptr) {
+
+		return this._result.hasErrorsUnder(ptr);
+	}
+
+	/**
+	 * Number of validation errors collected so far.
+	 *
+	 * @member {number}
+	 * @readonly
+	 */
+	get errorsCount() {
+
+		return this._result.count;
+	}
+
+	/**
+	 * Remove validation errors reported so far for the specified pointer. May
+	 * be used by a record-level validator to replace errors reported for the
+	 * nested elements with a single error of its own.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @returns {number} Number of removed errors.
+	 */
+	removeErrorsFor(ptr) {
+
+		const numRemoved = this._result.remove(ptr);
+		this._errorsCount -= numRemoved;
+
+		return numRemoved;
+	}
+
+	/**
+	 * Add errors from another errors object, for example, errors of a
+	 * separately validated related record. The added errors count towards the
+	 * <code>maxErrors</code> normalization option: once the limit is reached,
+	 * the rest of the errors are dropped and the result is marked as
+	 * truncated.
+	 *
+	 * @param {module:x2node-validators~ValidationErrors} errors The errors to
+	 * add.
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} [prefix]
+	 * Pointer, under which to nest the added errors. If not provided, the
+	 * pointers are used as is.
+	 */
+	mergeErrors(errors, prefix) {
+
+		if (!errors)
+			return;
+
+		const numBefore = this._result.count;
+		this._result.merge(
+			(prefix ? errors.rebase(prefix) : errors),
+			(this._maxErrors > 0 ?
+				Math.max(this._maxErrors - this._errorsCount, 0) : undefined));
+
+		this._errorsCount += this._result.count - numBefore;
+	}
+
 	/**
 	 * Tell if the provided value is <code>undefined</code> or <code>null</code>.
 	 * May be useful in validation function implementations that often need to
@@ -228,6 +786,19 @@ class ValidationContext {
 
 		return (this._result.isEmpty() ? null : this._result);
 	}
+
+	/**
+	 * Get validation warnings.
+	 *
+	 * @protected
+	 * @returns {module:x2node-validators~ValidationErrors} Validation warnings
+	 * or <code>null</code> if none or warnings are not collected.
+	 */
+	getWarnings() {
+
+		return (
+			this._warnings && !this._warnings.isEmpty() ? this._warnings : null);
+	}
 }
 
 // export the class
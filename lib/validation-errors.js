@@ -1,6 +1,27 @@
 'use strict';
 
 
+/**
+ * Machine-readable description of a single validation error.
+ *
+ * @typedef {Object} module:x2node-validators~ValidationErrorDetails
+ * @property {string} message The rendered error message.
+ * @property {?string} messageId Validation error message id (without the curly
+ * braces), or <code>null</code> if the error was reported using a message
+ * template rather than a message id.
+ * @property {Object.<string,*>} params Validation error message parameters as
+ * provided by the reporting validator (the automatic <code>field</code> and
+ * <code>Field</code> parameters are not included).
+ * @property {?string} validatorId Id of the validator that reported the error,
+ * or <code>null</code> if the error was reported by an anonymous validator or
+ * by the framework itself.
+ * @property {?Array} validatorParams Parameters of the validator that reported
+ * the error, or <code>null</code> if none.
+ * @property {?string} propPath Path of the property definition, to which the
+ * error pertains (empty string for the record as a whole), or
+ * <code>null</code> if unknown.
+ */
+
 /**
  * Validation errors object. The own enumarable property names are RFC 6901 JSON
  * pointers for the invalid parts of the record (empty string for error about the
@@ -11,22 +32,79 @@
  */
 class ValidationErrors {
 
+	/**
+	 * Create new, empty validation errors object.
+	 */
+	constructor() {
+
+		Object.defineProperty(this, '_details', {
+			value: new Object()
+		});
+		Object.defineProperty(this, '_sources', {
+			value: new Object()
+		});
+		Object.defineProperty(this, '_truncated', {
+			value: false,
+			writable: true
+		});
+	}
+
+	/**
+	 * <code>true</code> if the validation was stopped after reaching the
+	 * maximum number of errors, so the errors object may be incomplete.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get truncated() { return this._truncated; }
+
+	/**
+	 * Mark the errors object as incomplete.
+	 */
+	markTruncated() {
+
+		this._truncated = true;
+	}
+
 	/**
 	 * Add error.
 	 *
 	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
 	 * pointer.
 	 * @param {string} message The message.
+	 * @param {Object} [details] Error details. If provided, may include any of
+	 * the
+	 * [ValidationErrorDetails]{@link module:x2node-validators~ValidationErrorDetails}
+	 * properties except the <code>message</code>. The validation context also
+	 * provides a <code>source</code> property with what the message was rendered
+	 * from, which allows re-rendering it in a different language later (see
+	 * [localize()]{@link module:x2node-validators~ValidationErrors#localize}).
 	 */
-	addError(ptr, message) {
+	addError(ptr, message, details) {
 
 		const errorKey = ptr.toString();
 
 		let errors = this[errorKey];
-		if (!errors)
+		if (!errors) {
 			this[errorKey] = errors = new Array();
+			this._details[errorKey] = new Array();
+			this._sources[errorKey] = new Array();
+		}
 
 		errors.push(message);
+
+		const d = (details || {});
+		this._details[errorKey].push({
+			message: message,
+			messageId: (d.messageId || null),
+			params: (d.params || {}),
+			validatorId: (d.validatorId || null),
+			validatorParams: (d.validatorParams || null),
+			propPath: (
+				d.propPath !== undefined ? d.propPath : (
+					(typeof ptr) === 'string' ? null : ptr.propPath))
+		});
+		this._sources[errorKey].push(d.source || null);
 	}
 
 	/**
@@ -45,6 +123,244 @@ class ValidationErrors {
 		return (Array.isArray(errors) && (errors.length > 0));
 	}
 
+	/**
+	 * Tell if has errors for the specified record element or any element
+	 * nested in it.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @returns {boolean} <code>true</code> if has errors.
+	 */
+	hasErrorsUnder(ptr) {
+
+		const errorKey = ptr.toString();
+
+		return Object.keys(this).some(
+			k => ((k === errorKey) || k.startsWith(errorKey + '/')));
+	}
+
+	/**
+	 * Total number of error messages.
+	 *
+	 * @member {number}
+	 * @readonly
+	 */
+	get count() {
+
+		return Object.keys(this).reduce((n, k) => n + this[k].length, 0);
+	}
+
+	/**
+	 * Remove errors associated with the specified pointer. Errors for the
+	 * elements nested in the specified one are not removed.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @returns {number} Number of removed error messages.
+	 */
+	remove(ptr) {
+
+		const errorKey = ptr.toString();
+
+		const errors = this[errorKey];
+		if (!Array.isArray(errors))
+			return 0;
+
+		delete this[errorKey];
+		delete this._details[errorKey];
+		delete this._sources[errorKey];
+
+		return errors.length;
+	}
+
+	/**
+	 * Add all errors from another errors object to this one. Errors for the
+	 * same pointer are appended after the errors already in this object. If the
+	 * other object is truncated, this one is marked as truncated as well.
+	 *
+	 * @param {module:x2node-validators~ValidationErrors} other The other errors
+	 * object.
+	 * @param {number} [max] Maximum number of error messages to add. If the
+	 * other object has more, the rest are dropped and this object is marked as
+	 * truncated. If not provided, all errors are added.
+	 * @returns {module:x2node-validators~ValidationErrors} This object.
+	 */
+	merge(other, max) {
+
+		let numLeft = (max === undefined ? Infinity : max);
+		for (let errorKey of Object.keys(other)) {
+			const sources = other._sources[errorKey];
+			other._details[errorKey].forEach((d, i) => {
+				if (numLeft <= 0) {
+					this.markTruncated();
+					return;
+				}
+				numLeft--;
+				this.addError(errorKey, d.message, {
+					messageId: d.messageId,
+					params: d.params,
+					validatorId: d.validatorId,
+					validatorParams: d.validatorParams,
+					propPath: d.propPath,
+					source: sources[i]
+				});
+			});
+		}
+
+		if (other.truncated)
+			this.markTruncated();
+
+		return this;
+	}
+
+	/**
+	 * Create copy of the errors with all pointers nested under the specified
+	 * pointer. Useful to include errors of a separately validated sub-record in
+	 * the errors for the containing record.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} prefix The
+	 * pointer, under which to nest the errors. Empty string for no nesting.
+	 * @returns {module:x2node-validators~ValidationErrors} New errors object.
+	 * This object is left unchanged.
+	 */
+	rebase(prefix) {
+
+		const prefixStr = prefix.toString();
+
+		const rebased = new ValidationErrors();
+		for (let errorKey of Object.keys(this)) {
+			const sources = this._sources[errorKey];
+			this._details[errorKey].forEach((d, i) => {
+				rebased.addError(prefixStr + errorKey, d.message, {
+					messageId: d.messageId,
+					params: d.params,
+					validatorId: d.validatorId,
+					validatorParams: d.validatorParams,
+					propPath: d.propPath,
+					source: sources[i]
+				});
+			});
+		}
+		rebased._truncated = this._truncated;
+
+		return rebased;
+	}
+
+	/**
+	 * Iterate over all errors in a deterministic order: by pointers, with
+	 * pointer tokens compared one by one (array indexes numerically), and, for
+	 * the same pointer, in the order the errors were added.
+	 *
+	 * @returns {Iterator.<module:x2node-validators~ValidationErrorDetails>} The
+	 * iterator over the error details, each including an additional
+	 * <code>pointer</code> property.
+	 */
+	*[Symbol.iterator]() {
+
+		const errorKeys = Object.keys(this).sort(comparePointers);
+		for (let errorKey of errorKeys)
+			for (let d of this._details[errorKey])
+				yield Object.assign({ pointer: errorKey }, d);
+	}
+
+	/**
+	 * Get plain object for JSON serialization. The object has the same pointer
+	 * keys as this errors object with arrays of messages as values.
+	 *
+	 * @returns {Object.<string,Array.<string>>} The plain object.
+	 */
+	toJSON() {
+
+		const json = new Object();
+		for (let errorKey of Object.keys(this))
+			json[errorKey] = this[errorKey].slice();
+
+		return json;
+	}
+
+	/**
+	 * Get details of the errors associated with the specified pointer.
+	 *
+	 * @param {(string|module:x2node-pointers~RecordElementPointer)} ptr The
+	 * pointer.
+	 * @returns {Array.<module:x2node-validators~ValidationErrorDetails>} The
+	 * error details in the order the errors were added. Empty array if no
+	 * errors.
+	 */
+	getErrorDetails(ptr) {
+
+		const details = this._details[ptr.toString()];
+
+		return (details ? details.slice() : new Array());
+	}
+
+	/**
+	 * Get details of all errors. Unlike the errors object itself, which maps
+	 * pointers to arrays of message strings, the returned object maps pointers
+	 * to arrays of error details objects. The result is suitable for JSON
+	 * serialization.
+	 *
+	 * @returns {Object.<string,Array.<module:x2node-validators~ValidationErrorDetails>>}
+	 * The error details by pointers.
+	 */
+	getDetails() {
+
+		const allDetails = new Object();
+		for (let errorKey of Object.keys(this))
+			allDetails[errorKey] = this.getErrorDetails(errorKey);
+
+		return allDetails;
+	}
+
+	/**
+	 * Render all error messages in the specified language without re-running
+	 * the validation. The messages are rendered from the message ids,
+	 * parameters, titles and message templates captured when the errors were
+	 * reported. Messages added directly to the errors object without that
+	 * information are left as is.
+	 *
+	 * @param {string} [lang] Language for the error messages in the same format
+	 * as used by the HTTP's "Accept-Language" request header. If not provided,
+	 * "*" is assumed.
+	 * @returns {module:x2node-validators~ValidationErrors} New validation errors
+	 * object with the messages in the requested language. This object is left
+	 * unchanged.
+	 */
+	localize(lang) {
+
+		const localized = new ValidationErrors();
+		const resolvers = new Map();
+		for (let errorKey of Object.keys(this)) {
+			const details = this._details[errorKey];
+			const sources = this._sources[errorKey];
+			for (let i = 0, len = details.length; i < len; i++) {
+				const d = details[i];
+				const source = sources[i];
+				let message = d.message;
+				if (source) {
+					let resolver = resolvers.get(source.resolver);
+					if (!resolver) {
+						resolver = source.resolver.forLanguage(lang || '*');
+						resolvers.set(source.resolver, resolver);
+					}
+					message = resolver.getElementMessage(
+						source.messages, source.title, source.message, d.params);
+				}
+				localized.addError(errorKey, message, {
+					messageId: d.messageId,
+					params: d.params,
+					validatorId: d.validatorId,
+					validatorParams: d.validatorParams,
+					propPath: d.propPath,
+					source: source
+				});
+			}
+		}
+		localized._truncated = this._truncated;
+
+		return localized;
+	}
+
 	/**
 	 * Tell if empty.
 	 *
@@ -56,5 +372,33 @@ class ValidationErrors {
 	}
 }
 
+/**
+ * Compare JSON pointers for sorting. Pointer tokens are compared one by one,
+ * numeric tokens numerically and before non-numeric ones, and a pointer goes
+ * before the pointers nested under it.
+ *
+ * @private
+ * @param {string} p1 First pointer.
+ * @param {string} p2 Second pointer.
+ * @returns {number} Negative, zero or positive number.
+ */
+function comparePointers(p1, p2) {
+
+	const t1 = p1.split('/'), t2 = p2.split('/');
+	for (let i = 1, len = Math.min(t1.length, t2.length); i < len; i++) {
+		const a = t1[i], b = t2[i];
+		if (a === b)
+			continue;
+		const aNum = /^\d+$/.test(a), bNum = /^\d+$/.test(b);
+		if (aNum && bNum)
+			return (Number(a) - Number(b)) || (a < b ? -1 : 1);
+		if (aNum !== bNum)
+			return (aNum ? -1 : 1);
+		return (a < b ? -1 : 1);
+	}
+
+	return (t1.length - t2.length);
+}
+
 // export the class
 module.exports = ValidationErrors;
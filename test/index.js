@@ -2,6 +2,8 @@
 
 const expect = require('chai').expect;
 
+const records = require('x2node-records');
+
 const validators = require('../index.js');
 
 describe('x2node-validators Module', function() {
@@ -10,4 +12,1921 @@ describe('x2node-validators Module', function() {
 			expect(validators.isSupported({})).to.be.false;
 		});
 	});
+
+	describe('.normalizeRecordAsync()', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			validatorDefs: {
+				'available': function(_, ctx, value) {
+					if ((typeof value) !== 'string')
+						return value;
+					return Promise.resolve(value === 'taken').then(taken => {
+						if (taken)
+							ctx.addError('Not available.');
+						return value.toUpperCase();
+					});
+				}
+			},
+			recordTypes: {
+				'Account': {
+					validators: [ function(_, ctx, record) {
+						if (!ctx.hasErrorsFor('/login'))
+							record.checked = true;
+					} ],
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'login': {
+							valueType: 'string',
+							validators: [ 'available' ]
+						}
+					}
+				}
+			}
+		});
+		it('should wait for asynchronous validators', function() {
+			const record = { id: 1, login: ' john ' };
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Account', record).then(errors => {
+				expect(errors).to.be.null;
+				expect(record.login).to.equal('JOHN');
+				expect(record.checked).to.be.true;
+			});
+		});
+		it('should report errors added asynchronously', function() {
+			const record = { id: 1, login: 'taken' };
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Account', record).then(errors => {
+				expect(errors).to.deep.equal({ '/login': [ 'Not available.' ] });
+				expect(record.checked).to.be.undefined;
+			});
+		});
+		it('should reject promises in synchronous validation', function() {
+			expect(() => validators.normalizeRecord(
+				recordTypes, 'Account', { id: 1, login: 'john' })).to.throw(
+				/asynchronous/);
+		});
+		it('should pass the record to every record validator', function() {
+			const received = [];
+			const recordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Account': {
+						validators: [
+							(_, ctx, record) => { received.push(record); },
+							(_, ctx, record) => {
+								received.push(record);
+								return Promise.resolve('ignored');
+							},
+							(_, ctx, record) => { received.push(record); }
+						],
+						properties: {
+							'id': { valueType: 'number', role: 'id' }
+						}
+					}
+				}
+			});
+			const record = { id: 1 };
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Account', record
+			).then(errors => {
+				expect(errors).to.be.null;
+				expect(received).to.deep.equal([ record, record, record ]);
+			});
+		});
+		it('should reset current validator after failure', function() {
+			let savedCtx;
+			const recordTypes = records.with(validators).buildLibrary({
+				validatorDefs: {
+					'failing': function(params, ctx, value) {
+						if (value === undefined)
+							return value;
+						savedCtx = ctx;
+						if (params[0])
+							return Promise.reject(new Error('async failure'));
+						throw new Error('failure');
+					}
+				},
+				recordTypes: {
+					'Account': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'login': {
+								valueType: 'string',
+								optional: true,
+								validators: [ ['failing', false] ]
+							},
+							'email': {
+								valueType: 'string',
+								optional: true,
+								validators: [ ['failing', true] ]
+							}
+						}
+					}
+				}
+			});
+			expect(() => validators.normalizeRecord(
+				recordTypes, 'Account', { id: 1, login: 'a' })).to.throw(
+				'failure');
+			savedCtx.addErrorFor('/id', 'Custom.');
+			expect(savedCtx.getResult().getErrorDetails(
+				'/id')[0].validatorId).to.be.null;
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Account', { id: 1, email: 'a' }
+			).then(() => {
+				throw new Error('expected rejection');
+			}, err => {
+				expect(err.message).to.equal('async failure');
+				savedCtx.addErrorFor('/id', 'Custom.');
+				expect(savedCtx.getResult().getErrorDetails(
+					'/id')[0].validatorId).to.be.null;
+			});
+		});
+	});
+
+	describe('ValidationErrors details', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							validators: [ ['maxLength', 3] ]
+						}
+					}
+				}
+			}
+		});
+		it('should keep message ids, params and validators', function() {
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Contact', { id: 1, name: 'John' });
+			expect(JSON.parse(JSON.stringify(errors))).to.deep.equal({
+				'/name': [ 'Too long.' ]
+			});
+			expect(errors.getErrorDetails('/name')).to.deep.equal([ {
+				message: 'Too long.',
+				messageId: 'tooLong',
+				params: { max: 3 },
+				validatorId: 'maxLength',
+				validatorParams: [ 3 ],
+				propPath: 'name'
+			} ]);
+			expect(errors.getDetails()['/name'][0].messageId).to.equal(
+				'tooLong');
+		});
+	});
+
+	describe('.normalizePatch()', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							validators: [ ['maxLength', 10] ]
+						},
+						'tags': {
+							valueType: 'string[]',
+							optional: true,
+							elementValidators: [ 'uppercase' ]
+						},
+						'nameView': {
+							valueType: 'string',
+							viewOf: 'name'
+						}
+					}
+				}
+			}
+		});
+		it('should validate and normalize operation values', function() {
+			const patch = [
+				{ op: 'replace', path: '/name', value: ' John ' },
+				{ op: 'add', path: '/tags/-', value: 'vip' }
+			];
+			expect(validators.normalizePatch(
+				recordTypes, 'Contact', patch)).to.be.null;
+			expect(patch[0].value).to.equal('John');
+			expect(patch[1].value).to.equal('VIP');
+		});
+		it('should report invalid operations', function() {
+			const errors = validators.normalizePatch(recordTypes, 'Contact', [
+				{ op: 'replace', path: '/name', value: 'John Silver Jr.' },
+				{ op: 'remove', path: '/name' },
+				{ op: 'replace', path: '/nameView', value: 'John' },
+				{ op: 'remove', path: '/unknown' }
+			]);
+			expect(errors).to.deep.equal({
+				'/name': [ 'Too long.', 'May not be removed.' ],
+				'/nameView': [ 'May not be modified.' ],
+				'/unknown': [ 'Invalid pointer.' ]
+			});
+		});
+		it('should resolve siblings from base record', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				unknownProperties: 'reject',
+				recordTypes: {
+					'Order': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'shipped': {
+								valueType: 'boolean'
+							},
+							'trackingNo': {
+								valueType: 'string',
+								optional: true,
+								validators: [ [ 'requiredIf', 'shipped', true ] ]
+							},
+							'lines': {
+								valueType: 'object[]',
+								optional: true,
+								properties: {
+									'sku': {
+										valueType: 'string'
+									}
+								}
+							}
+						}
+					}
+				}
+			});
+			const patch = [
+				{ op: 'replace', path: '/trackingNo', value: null }
+			];
+			expect(validators.normalizePatch(
+				recordTypes, 'Order', patch)).to.be.null;
+			const baseRecord = { id: 1, shipped: true, trackingNo: 'X1' };
+			expect(validators.normalizePatch(
+				recordTypes, 'Order', patch, { baseRecord: baseRecord })
+			).to.deep.equal({
+				'/trackingNo': [ 'Requried when shipped is true.' ]
+			});
+			expect(baseRecord.trackingNo).to.equal('X1');
+			expect(validators.normalizePatch(recordTypes, 'Order', [
+				{ op: 'add', path: '/lines/-', value: { sku: 'A', qty: 1 } }
+			], { baseRecord: { id: 1, lines: [ { sku: 'B' } ] } })).to.deep.equal({
+				'/lines/1/qty': [ 'Unknown property.' ]
+			});
+		});
+		it('should resolve array element siblings from base record', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Product': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'codes': {
+								valueType: 'string[]',
+								validators: {
+									'element:*': [ (_, ctx, value) => {
+										const codes = ctx.containersChain[
+											ctx.containersChain.length - 1];
+										if (codes.filter(v => (v === value)).length > 1)
+											ctx.addError('Duplicate code.');
+										return value;
+									} ]
+								}
+							}
+						}
+					}
+				}
+			});
+			const baseRecord = { id: 1, codes: [ 'A', 'B' ] };
+			expect(validators.normalizePatch(recordTypes, 'Product', [
+				{ op: 'add', path: '/codes/-', value: 'A' },
+				{ op: 'replace', path: '/codes/0', value: 'B' },
+				{ op: 'replace', path: '/codes/1', value: 'C' }
+			], { baseRecord: baseRecord })).to.deep.equal({
+				'/codes/2': [ 'Duplicate code.' ],
+				'/codes/0': [ 'Duplicate code.' ]
+			});
+			expect(baseRecord.codes).to.deep.equal([ 'A', 'B' ]);
+		});
+		it('should reject read-only targets', function() {
+			const recordTypes = records.with(validators, {
+				extendPropertyDescriptor(_, propDesc) {
+					if (propDesc.definition.serverSide)
+						validators.markReadOnly(propDesc);
+					return propDesc;
+				}
+			}).buildLibrary({
+				recordTypes: {
+					'Document': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'title': {
+								valueType: 'string'
+							},
+							'createdBy': {
+								valueType: 'string',
+								serverSide: true
+							}
+						}
+					}
+				}
+			});
+			const patch = [
+				{ op: 'replace', path: '/id', value: 5 },
+				{ op: 'add', path: '/createdBy', value: 'john' },
+				{ op: 'replace', path: '/title', value: 'Report' }
+			];
+			expect(validators.normalizePatch(
+				recordTypes, 'Document', patch, { operation: 'update' })
+			).to.deep.equal({
+				'/id': [ 'May not be specified.' ],
+				'/createdBy': [ 'May not be specified.' ]
+			});
+			expect(validators.normalizePatch(
+				recordTypes, 'Document', patch.slice(0, 1),
+				{ operation: 'create' })).to.be.null;
+			expect(validators.normalizePatch(
+				recordTypes, 'Document', patch.slice(1),
+				{ operation: 'create' })).to.deep.equal({
+				'/createdBy': [ 'May not be specified.' ]
+			});
+		});
+	});
+
+	describe('partial mode', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					validators: [ {
+						validator: function(_, ctx, value) {
+							ctx.addError('Incomplete.');
+							return value;
+						},
+						wholeRecord: true
+					} ],
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string'
+						},
+						'email': {
+							valueType: 'string',
+							optional: true
+						},
+						'address': {
+							valueType: 'object',
+							properties: {
+								'street': {
+									valueType: 'string'
+								},
+								'zip': {
+									valueType: 'string'
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should validate only present properties', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Contact', { email: null, address: { zip: '1' } },
+				{ partial: true })).to.be.null;
+		});
+		it('should treat null as removal', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Contact', { name: null },
+				{ partial: true })).to.deep.equal({
+				'/name': [ 'Missing value.' ]
+			});
+		});
+	});
+
+	describe('.normalizeRecordElement()', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Order': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'items': {
+							valueType: 'object[]',
+							properties: {
+								'sku': {
+									valueType: 'string',
+									optional: true
+								},
+								'qty': {
+									valueType: 'number',
+									optional: true,
+									validators: [ [ 'requiredIf', 'sku' ] ]
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should validate only the subtree', function() {
+			const record = { items: [ { sku: ' A1 ' }, { sku: 'B2' } ] };
+			expect(validators.normalizeRecordElement(
+				recordTypes, 'Order', record, '/items/0')).to.deep.equal({
+				'/items/0/qty': [ 'Required with sku.' ]
+			});
+			expect(record.items[0].sku).to.equal('A1');
+			expect(validators.normalizeRecordElement(
+				recordTypes, 'Order', record, '/items/1/sku')).to.be.null;
+		});
+	});
+
+	describe('normalization plans', function() {
+		function buildLibrary() {
+			return records.with(validators).buildLibrary({
+				recordTypes: {
+					'Document': {
+						validators: {
+							'strict': [ (_, ctx, record) => {
+								if (record.body && !record.meta)
+									ctx.addError('Body without metadata.');
+							} ]
+						},
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'title': {
+								valueType: 'string',
+								validators: {
+									'*': [ ['maxLength', 10] ],
+									'strict': [ ['pattern', /^[A-Z]/] ]
+								}
+							},
+							'meta': {
+								valueType: 'object',
+								optional: true,
+								properties: {
+									'tags': {
+										valueType: 'string[]',
+										validators: {
+											'element:*': [ ['maxLength', 5] ],
+											'element:strict': [
+												['pattern', /^[a-z]+$/]
+											]
+										}
+									}
+								}
+							},
+							'body': {
+								valueType: 'object',
+								optional: true,
+								typePropertyName: 'type',
+								subtypes: {
+									'TEXT': {
+										properties: {
+											'text': {
+												valueType: 'string',
+												validators: {
+													'strict': [ ['minLength', 3] ]
+												}
+											}
+										}
+									},
+									'LINK': {
+										properties: {
+											'url': {
+												valueType: 'string',
+												validators: [
+													['pattern', /^https?:/]
+												]
+											}
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			});
+		}
+		function createRecords() {
+			return [ {
+				id: 1,
+				title: 'a long document title',
+				meta: { tags: [ 'Tag', 'toolong', 'ok' ] },
+				body: { type: 'TEXT', text: 'ab' }
+			}, {
+				id: 2,
+				title: 'Short',
+				body: { type: 'LINK', url: 'ftp://example' }
+			} ];
+		}
+		const setsCombinations = [
+			undefined, 'strict', 'unused', 'strict, unused', 'unused, strict'
+		];
+		it('should apply validation sets to nested and polymorphic objects',
+			function() {
+				const recordTypes = buildLibrary();
+				const results = setsCombinations.map(sets => createRecords().map(
+					record => validators.normalizeRecord(
+						recordTypes, 'Document', record, {
+							validationSets: sets
+						})));
+				expect(results[0]).to.deep.equal([ {
+					'/title': [ 'Too long.' ],
+					'/meta/tags/1': [ 'Too long.' ]
+				}, {
+					'/body/LINK:url': [ 'Does not match the pattern.' ]
+				} ]);
+				expect(results[1]).to.deep.equal([ {
+					'/title': [ 'Too long.', 'Does not match the pattern.' ],
+					'/meta/tags/0': [ 'Does not match the pattern.' ],
+					'/meta/tags/1': [ 'Too long.' ],
+					'/body/TEXT:text': [ 'Too short.' ]
+				}, {
+					'/body/LINK:url': [ 'Does not match the pattern.' ],
+					'': [ 'Body without metadata.' ]
+				} ]);
+				expect(results[2]).to.deep.equal(results[0]);
+				expect(results[3]).to.deep.equal(results[1]);
+				expect(results[4]).to.deep.equal(results[1]);
+			});
+		it('should produce the same results with cached plans', function() {
+			const cachedRecordTypes = buildLibrary();
+			const combinations = setsCombinations.concat(
+				Array.from(setsCombinations).reverse());
+			for (let sets of combinations) {
+				const options = { validationSets: sets, changes: true };
+				const cachedResults = createRecords().map(
+					record => validators.normalizeRecord(
+						cachedRecordTypes, 'Document', record, options));
+				const uncachedResults = createRecords().map(
+					record => validators.normalizeRecord(
+						buildLibrary(), 'Document', record, options));
+				expect(cachedResults).to.deep.equal(uncachedResults);
+			}
+		});
+	});
+
+	describe('.generateJSONSchema()', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Product': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							validators: [ [ 'maxLength', 20 ], 'ccNumber' ]
+						},
+						'color': {
+							valueType: 'string',
+							optional: true,
+							validators: [ [ 'oneOf', 'red', 'blue' ] ]
+						}
+					}
+				}
+			}
+		});
+		it('should map standard validators', function() {
+			const schema = validators.generateJSONSchema(recordTypes, 'Product');
+			expect(schema.required).to.deep.equal([ 'id', 'name' ]);
+			expect(schema.properties.name).to.deep.equal({
+				type: 'string',
+				maxLength: 20,
+				'x-validators': [ { id: 'ccNumber' } ]
+			});
+			expect(schema.properties.color).to.deep.equal({
+				type: [ 'string', 'null' ],
+				enum: [ 'red', 'blue', null ]
+			});
+		});
+		it('should map polymorphic objects', function() {
+			const schema = validators.generateJSONSchema(
+				records.with(validators).buildLibrary({
+					recordTypes: {
+						'Order': {
+							properties: {
+								'id': { valueType: 'number', role: 'id' },
+								'payment': {
+									valueType: 'object',
+									optional: true,
+									typePropertyName: 'type',
+									subtypes: {
+										'CARD': {
+											properties: {
+												'last4': { valueType: 'string' }
+											}
+										}
+									}
+								}
+							}
+						}
+					}
+				}), 'Order');
+			const payment = schema.properties.payment;
+			expect(payment.type).to.deep.equal([ 'object', 'null' ]);
+			expect(payment).to.not.have.property('discriminator');
+			expect(payment['x-discriminator']).to.deep.equal({
+				propertyName: 'type'
+			});
+			expect(payment.oneOf).to.have.lengthOf(2);
+			expect(payment.oneOf[0].properties.type).to.deep.equal({
+				const: 'CARD'
+			});
+			expect(payment.oneOf[1]).to.deep.equal({ type: 'null' });
+		});
+	});
+
+	describe('unknown properties', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			unknownProperties: 'reject',
+			recordTypes: {
+				'Person': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'address': {
+							valueType: 'object',
+							unknownProperties: 'strip',
+							properties: {
+								'city': {
+									valueType: 'string'
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should reject or strip unknown properties', function() {
+			const record = {
+				id: 1,
+				nmae: 'John',
+				address: { city: 'Boston', zip: '02101' }
+			};
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', record)).to.deep.equal({
+				'/nmae': [ 'Unknown property.' ]
+			});
+			expect(record.address).to.deep.equal({ city: 'Boston' });
+		});
+	});
+
+	describe('operation option', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Document': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'title': {
+							valueType: 'string'
+						},
+						'createdOn': {
+							valueType: 'datetime',
+							readOnly: true
+						}
+					}
+				}
+			}
+		});
+		it('should reject values not accepted for update', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Document', {
+					id: 1,
+					title: 'Report',
+					createdOn: '2017-06-01T00:00:00Z'
+				}, { operation: 'update' })).to.deep.equal({
+				'/id': [ 'May not be specified.' ],
+				'/createdOn': [ 'May not be specified.' ]
+			});
+		});
+		it('should strip values not accepted for create', function() {
+			const record = { title: 'Report', createdOn: 'now' };
+			expect(validators.normalizeRecord(
+				recordTypes, 'Document', record, {
+					operation: 'create',
+					readOnlyProperties: 'strip'
+				})).to.deep.equal({
+				'/id': [ 'Missing value.' ]
+			});
+			expect(record).to.deep.equal({ title: 'Report' });
+		});
+	});
+
+	describe('coercion mode', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Setting': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'enabled': {
+							valueType: 'boolean'
+						},
+						'levels': {
+							valueType: 'number[]'
+						},
+						'changedOn': {
+							valueType: 'datetime',
+							optional: true
+						}
+					}
+				}
+			}
+		});
+		it('should convert strings', function() {
+			const record = { id: '12', enabled: 'false', levels: '3' };
+			expect(validators.normalizeRecord(
+				recordTypes, 'Setting', record, { coerce: true })).to.be.null;
+			expect(record).to.deep.equal(
+				{ id: 12, enabled: false, levels: [ 3 ] });
+		});
+		it('should report failed conversions', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Setting', { id: 'x', enabled: 'no', levels: [] },
+				{ coerce: true })).to.deep.equal({
+				'/id': [ 'Not a valid number.' ],
+				'/enabled': [ 'Not a valid boolean value.' ]
+			});
+		});
+		it('should convert only numbers to datetimes', function() {
+			const record = { id: 1, enabled: true, changedOn: 1483315200000 };
+			expect(validators.normalizeRecord(
+				recordTypes, 'Setting', record, { coerce: true })).to.be.null;
+			expect(record.changedOn).to.equal('2017-01-02T00:00:00.000Z');
+			for (let changedOn of [ '2017', '20170102' ])
+				expect(validators.normalizeRecord(
+					recordTypes, 'Setting', { id: 1, enabled: true, changedOn },
+					{ coerce: true })).to.deep.equal({
+					'/changedOn': [ 'Invalid format.' ]
+				});
+		});
+	});
+
+	describe('limiting validation work', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Batch': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'contact': {
+							valueType: 'string',
+							bail: true,
+							validators: [ 'email', [ 'maxLength', 5 ] ]
+						},
+						'counts': {
+							valueType: 'number[]'
+						}
+					}
+				}
+			}
+		});
+		it('should stop at maximum errors', function() {
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Batch', {
+					id: 1,
+					contact: 'a@b.c',
+					counts: [ 'a', 'b', 'c', 'd' ]
+				}, { maxErrors: 2 });
+			expect(errors).to.deep.equal({
+				'/counts/0': [ 'Invalid value type string, expected number.' ],
+				'/counts/1': [ 'Invalid value type string, expected number.' ]
+			});
+			expect(errors.truncated).to.be.true;
+		});
+		it('should not mark truncated at exactly maximum errors', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Pair': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'first': {
+								valueType: 'string',
+								validators: [ [ 'maxLength', 2 ] ]
+							},
+							'second': {
+								valueType: 'string',
+								validators: [ [ 'maxLength', 2 ] ]
+							}
+						}
+					}
+				}
+			});
+			const record = { id: 1, first: 'abc', second: 'xyz' };
+			let errors = validators.normalizeRecord(
+				recordTypes, 'Pair', record, { maxErrors: 2 });
+			expect(errors).to.deep.equal({
+				'/first': [ 'Too long.' ],
+				'/second': [ 'Too long.' ]
+			});
+			expect(errors.truncated).to.be.false;
+			errors = validators.normalizeRecord(
+				recordTypes, 'Pair', record, { maxErrors: 1 });
+			expect(errors).to.deep.equal({
+				'/first': [ 'Too long.' ]
+			});
+			expect(errors.truncated).to.be.true;
+		});
+		it('should skip remaining validators in bail mode', function() {
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Batch', { id: 1, contact: 'not an email' });
+			expect(errors).to.deep.equal({
+				'/contact': [ 'Invalid e-mail address.' ]
+			});
+			expect(errors.truncated).to.be.false;
+		});
+	});
+
+	describe('options object', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			validatorDefs: {
+				'sameTenant': function(_, ctx, value) {
+					if (!ctx.isEmpty(value) && (value !== ctx.options.tenant))
+						ctx.addError('Belongs to another tenant.');
+					return value;
+				}
+			},
+			recordTypes: {
+				'Account': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'tenant': {
+							valueType: 'string',
+							validators: {
+								'*': [ 'sameTenant' ],
+								'strict': [ ['maxLength', 3] ]
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should expose options to validators', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Account', { id: 1, tenant: 'acme' }, {
+					tenant: 'acme'
+				})).to.be.null;
+			expect(validators.normalizeRecord(
+				recordTypes, 'Account', { id: 1, tenant: 'acme' }, {
+					lang: 'en-US',
+					validationSets: 'strict',
+					tenant: 'other'
+				})).to.deep.equal({
+				'/tenant': [ 'Belongs to another tenant.', 'Too long.' ]
+			});
+		});
+		it('should ignore validation sets not used in the library', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Account', { id: 1, tenant: 'acme' }, {
+					validationSets: 'strict, audit',
+					tenant: 'acme'
+				})).to.deep.equal({
+				'/tenant': [ 'Too long.' ]
+			});
+			let activeSets;
+			const otherTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Account': {
+						validators: [ (_, ctx) => {
+							activeSets = [ 'audit', 'strict' ].filter(
+								setId => ctx.isValidationSet(setId));
+						} ],
+						properties: {
+							'id': { valueType: 'number', role: 'id' }
+						}
+					}
+				}
+			});
+			expect(validators.normalizeRecord(
+				otherTypes, 'Account', { id: 1 }, {
+					validationSets: 'audit'
+				})).to.be.null;
+			expect(activeSets).to.deep.equal([ 'audit' ]);
+		});
+	});
+
+	describe('copy mode', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							validators: [ 'trim' ]
+						},
+						'address': {
+							valueType: 'object',
+							properties: {
+								'city': {
+									valueType: 'string',
+									validators: [ 'trim' ]
+								}
+							}
+						},
+						'phones': {
+							valueType: 'object[]',
+							properties: {
+								'number': {
+									valueType: 'string',
+									validators: [ 'trim' ]
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should return normalized copy', function() {
+			const record = {
+				id: 1,
+				name: 'John',
+				address: { city: 'Boston' },
+				phones: [ { number: '555-1234' }, { number: ' 555-5678 ' } ]
+			};
+			const original = JSON.parse(JSON.stringify(record));
+			const result = validators.normalizeRecord(
+				recordTypes, 'Contact', Object.freeze(record), { copy: true });
+			expect(result.errors).to.be.null;
+			expect(result.record).to.deep.equal({
+				id: 1,
+				name: 'John',
+				address: { city: 'Boston' },
+				phones: [ { number: '555-1234' }, { number: '555-5678' } ]
+			});
+			expect(record).to.deep.equal(original);
+			expect(result.record).to.not.equal(record);
+			expect(result.record.address).to.equal(record.address);
+			expect(result.record.phones).to.not.equal(record.phones);
+			expect(result.record.phones[0]).to.equal(record.phones[0]);
+		});
+		it('should return original if nothing changed', function() {
+			const record = { id: 1, name: 'John', address: {}, phones: [] };
+			const result = validators.normalizeRecord(
+				recordTypes, 'Contact', record, { copy: true });
+			expect(result.record).to.equal(record);
+		});
+	});
+
+	describe('changes report', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'name': {
+							valueType: 'string',
+							validators: [ 'trim' ]
+						},
+						'note': {
+							valueType: 'string',
+							optional: true,
+							validators: [ 'dropEmptyString' ]
+						},
+						'tags': {
+							valueType: 'string[]',
+							validators: {
+								'element:*': [ 'lowercase' ]
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should list changed values', function() {
+			const result = validators.normalizeRecord(
+				recordTypes, 'Contact', {
+					id: 1,
+					name: ' John ',
+					note: '',
+					tags: [ 'VIP', 'new' ]
+				}, { changes: true });
+			expect(result.errors).to.be.null;
+			expect(result.changes).to.deep.equal([
+				{
+					pointer: '/name',
+					originalValue: ' John ',
+					value: 'John',
+					validatorId: 'trim'
+				},
+				{
+					pointer: '/note',
+					originalValue: '',
+					value: undefined,
+					validatorId: 'dropEmptyString'
+				},
+				{
+					pointer: '/tags/0',
+					originalValue: 'VIP',
+					value: 'vip',
+					validatorId: 'lowercase'
+				}
+			]);
+		});
+		it('should list stripped and wrapped values', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				unknownProperties: 'strip',
+				recordTypes: {
+					'Setting': {
+						properties: {
+							'id': {
+								valueType: 'number',
+								role: 'id'
+							},
+							'levels': {
+								valueType: 'string[]'
+							}
+						}
+					}
+				}
+			});
+			const result = validators.normalizeRecord(
+				recordTypes, 'Setting', {
+					id: 1,
+					levels: 'high',
+					'a/b': true
+				}, { coerce: true, changes: true });
+			expect(result.errors).to.be.null;
+			expect(result.changes).to.deep.equal([
+				{
+					pointer: '/a~1b',
+					originalValue: true,
+					value: undefined,
+					validatorId: null
+				},
+				{
+					pointer: '/levels',
+					originalValue: 'high',
+					value: [ 'high' ],
+					validatorId: null
+				}
+			]);
+		});
+	});
+
+	describe('warnings', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Contact': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'phone': {
+							valueType: 'string',
+							validators: [
+								{
+									validator: [ 'pattern', /^[0-9-]{7,}$/ ],
+									warning: true
+								}
+							]
+						},
+						'rank': {
+							valueType: 'number',
+							validators: [
+								function(_, ctx, value) {
+									if (value > 5)
+										ctx.addWarning('Unusually high.');
+									return value;
+								}
+							]
+						},
+						'nickname': {
+							valueType: 'string',
+							optional: true,
+							validators: [
+								{
+									validator: function(_, ctx, value) {
+										if ((typeof value) === 'string' &&
+											value.length < 3)
+											ctx.addError('{tooShort}');
+										return value;
+									},
+									warning: true
+								}
+							]
+						}
+					}
+				}
+			}
+		});
+		it('should separate warnings from errors', function() {
+			const result = validators.normalizeRecord(
+				recordTypes, 'Contact', { id: 1, phone: '55', rank: 9 },
+				{ warnings: true });
+			expect(result.errors).to.be.null;
+			expect(result.warnings).to.deep.equal({
+				'/phone': [ 'Does not match the pattern.' ],
+				'/rank': [ 'Unusually high.' ]
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Contact', { id: 1, phone: '55', rank: 9 })).to.be.null;
+		});
+		it('should keep record valid with warning-only validator', function() {
+			const record = { id: 1, phone: '555-0100', rank: 1, nickname: 'Al' };
+			const result = validators.normalizeRecord(
+				recordTypes, 'Contact', record, { warnings: true });
+			expect(result.errors).to.be.null;
+			expect(result.warnings).to.deep.equal({
+				'/nickname': [ 'Too short.' ]
+			});
+			expect(result.warnings.getErrorDetails('/nickname')[0]).to.include({
+				messageId: 'tooShort'
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Contact', record)).to.be.null;
+		});
+	});
+
+	describe('unique validator', function() {
+		const existing = [
+			{ id: 1, email: 'john@example.com', first: 'John', last: 'Smith' }
+		];
+		const recordTypes = records.with(validators).buildLibrary({
+			uniqueLookup(recordTypeName, values, exceptId) {
+				return existing.some(r => (
+					(r.id !== exceptId) &&
+						Object.keys(values).every(p => (r[p] === values[p]))));
+			},
+			recordTypes: {
+				'Account': {
+					validators: [ [ 'unique', 'first', 'last' ] ],
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'email': {
+							valueType: 'string',
+							validators: [ 'unique' ]
+						},
+						'first': {
+							valueType: 'string'
+						},
+						'last': {
+							valueType: 'string'
+						}
+					}
+				}
+			}
+		});
+		it('should report conflicting values', function() {
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Account', {
+					id: 2,
+					email: 'john@example.com',
+					first: 'John',
+					last: 'Smith'
+				});
+			expect(errors).to.deep.equal({
+				'/email': [ 'Already used by another record.' ],
+				'': [ 'Already used by another record.' ]
+			});
+			expect(errors.getErrorDetails('')[0].params).to.deep.equal({
+				value: 'John, Smith',
+				values: { first: 'John', last: 'Smith' }
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Account', existing[0], {
+					operation: 'update'
+				})).to.deep.equal({
+				'/id': [ 'May not be specified.' ]
+			});
+		});
+		it('should use asynchronous lookup from options', function() {
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Account', {
+					id: 2,
+					email: 'jane@example.com',
+					first: 'Jane',
+					last: 'Doe'
+				}, {
+					uniqueLookup: (_, values) => Promise.resolve(
+						values.email === 'jane@example.com')
+				}).then(errors => {
+				expect(errors).to.deep.equal({
+					'/email': [ 'Already used by another record.' ]
+				});
+			});
+		});
+	});
+
+	describe('refExists validator', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Product': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						}
+					}
+				},
+				'Order': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'mainProductRef': {
+							valueType: 'ref(Product)',
+							validators: [ 'refExists' ]
+						},
+						'productRefs': {
+							valueType: 'ref(Product)[]',
+							validators: [ 'refExists' ]
+						}
+					}
+				}
+			}
+		});
+		it('should check targets in a batch', function() {
+			const calls = [];
+			return validators.normalizeRecordAsync(
+				recordTypes, 'Order', {
+					id: 1,
+					mainProductRef: 'Product#1',
+					productRefs: [ 'Product#1', 'Product#2', 'Product#3' ]
+				}, {
+					refResolver(refTarget, ids) {
+						calls.push([ refTarget, ids ]);
+						return Promise.resolve(ids.filter(id => (id !== 2)));
+					}
+				}).then(errors => {
+				expect(calls).to.deep.equal([
+					[ 'Product', [ 1, 2, 3 ] ]
+				]);
+				expect(errors).to.deep.equal({
+					'/productRefs/1': [ 'Referred record Product#2 does not exist.' ]
+				});
+			});
+		});
+	});
+
+	describe('plural and select messages', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Order': {
+					properties: {
+						'id': {
+							valueType: 'number',
+							role: 'id'
+						},
+						'items': {
+							valueType: 'string[]',
+							validators: [ ['minLength', 2] ],
+							validationErrorMessages: {
+								'tooShort': {
+									'en': 'At least {min, plural,' +
+										' one {# item} other {# items}}.',
+									'ru': 'Не менее {min, plural,' +
+										' one {# позиции} other {# позиций}}.'
+								}
+							}
+						},
+						'kind': {
+							valueType: 'string',
+							validators: [ ['oneOf', 'A', 'B'] ],
+							validationErrorMessages: {
+								'invalidValue': '{field, select,' +
+									' kind {Wrong kind.} other {Wrong ${field}.}}'
+							}
+						},
+						'notes': {
+							valueType: 'string[]',
+							optional: true,
+							validators: [ ['maxLength', 21] ],
+							validationErrorMessages: {
+								'tooLong': 'At most {max, plural,' +
+									' one {# note} other {# notes}}.'
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should render plural and select placeholders', function() {
+			expect(validators.normalizeRecord(
+				recordTypes, 'Order', { id: 1, items: [ 'a' ], kind: 'C' }, 'en'
+			)).to.deep.equal({
+				'/items': [ 'At least 2 items.' ],
+				'/kind': [ 'Wrong kind.' ]
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Order', { id: 1, items: [ 'a' ], kind: 'A' }, 'ru'
+			)).to.deep.equal({
+				'/items': [ 'Не менее 2 позиций.' ]
+			});
+		});
+		it('should use default language rules for non-localized templates',
+			function() {
+				expect(validators.normalizeRecord(
+					recordTypes, 'Order', {
+						id: 1, items: [ 'a', 'b' ], kind: 'A',
+						notes: Array.from({ length: 22 }, (_, i) => 'n' + i)
+					}, 'ru'
+				)).to.deep.equal({
+					'/notes': [ 'At most 21 notes.' ]
+				});
+			});
+	});
+	describe('bundled locales', function() {
+		const standard = require('../lib/standard.js');
+		const locales = require('../lib/locales/index.js');
+		it('should translate every standard message', function() {
+			const ids = Object.keys(standard.VALIDATION_ERROR_MESSAGES).sort();
+			for (let lang of [ 'es', 'fr', 'de', 'pt', 'ru' ])
+				expect(Object.keys(locales[lang]).sort()).to.deep.equal(ids);
+		});
+		it('should keep application overrides on top', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				validationErrorLocales: [ 'es', 'de' ],
+				validationErrorMessages: {
+					'tooLong': { 'es': 'Demasiados caracteres.' }
+				},
+				recordTypes: {
+					'Person': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'name': {
+								valueType: 'string',
+								validators: [ ['maxLength', 3] ]
+							},
+							'email': { valueType: 'string' }
+						}
+					}
+				}
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1, name: 'Johnny' }, 'es'
+			)).to.deep.equal({
+				'/name': [ 'Demasiados caracteres.' ],
+				'/email': [ 'Falta el valor.' ]
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1, name: 'Johnny' }, 'de'
+			)).to.deep.equal({
+				'/name': [ 'Zu lang.' ],
+				'/email': [ 'Fehlender Wert.' ]
+			});
+			expect(() => records.with(validators).buildLibrary({
+				validationErrorLocales: 'xx',
+				recordTypes: {}
+			})).to.throw(/no bundled translations/);
+		});
+	});
+	describe('language negotiation', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			defaultLanguage: 'es',
+			recordTypes: {
+				'Person': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'name': {
+							valueType: 'string',
+							validationErrorMessages: {
+								'missing': {
+									'en-US': 'Missing.',
+									'es': 'Falta.',
+									'fr-FR': 'Manquant.'
+								}
+							}
+						}
+					}
+				}
+			}
+		});
+		function message(lang) {
+			return validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1 }, lang)['/name'][0];
+		}
+		it('should respect q-values and fall back to prefixes', function() {
+			expect(message('fr-FR;q=0.5, es-MX;q=0.9')).to.equal('Falta.');
+			expect(message('EN-us')).to.equal('Missing.');
+			expect(message('fr-fr-x-paris')).to.equal('Manquant.');
+			expect(message('de, en-US;q=0.2')).to.equal('Missing.');
+		});
+		it('should use library default language', function() {
+			expect(message('fr')).to.equal('Falta.');
+			expect(message()).to.equal('Falta.');
+		});
+	});
+	describe('typed message placeholders', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			messageParamFormatters: {
+				'upper': value => String(value).toUpperCase()
+			},
+			recordTypes: {
+				'Item': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'price': {
+							valueType: 'number',
+							validators: [ ['max', 1000000.5] ],
+							validationErrorMessages: {
+								'tooLarge': 'Must be at most ${max, number}.'
+							}
+						},
+						'kind': {
+							valueType: 'string',
+							validators: [ ['oneOf', 'a', 'b', 'c'] ],
+							validationErrorMessages: {
+								'invalidValue': {
+									'en': 'Expected ${values, list, or}.',
+									'de': 'Erwartet ${values, list, or}.'
+								}
+							}
+						},
+						'code': {
+							valueType: 'string',
+							validators: [
+								(_, ctx, value) => {
+									ctx.addError('${code, upper} since ${since,' +
+										' date, long}.', {
+										code: value,
+										since: '2017-06-01'
+									});
+									return value;
+								}
+							]
+						}
+					}
+				}
+			}
+		});
+		it('should format typed placeholders for the language', function() {
+			const record = { id: 1, price: 2000000, kind: 'x', code: 'ab' };
+			expect(validators.normalizeRecord(
+				recordTypes, 'Item', record, 'en'
+			)).to.deep.equal({
+				'/price': [ 'Must be at most 1,000,000.5.' ],
+				'/kind': [ 'Expected a, b, or c.' ],
+				'/code': [ 'AB since June 1, 2017.' ]
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Item', record, 'de'
+			)).to.deep.equal({
+				'/price': [ 'Must be at most 1,000,000.5.' ],
+				'/kind': [ 'Erwartet a, b oder c.' ],
+				'/code': [ 'AB since June 1, 2017.' ]
+			});
+		});
+	});
+	describe('deferred localization', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			validationErrorLocales: 'de',
+			recordTypes: {
+				'Person': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'name': {
+							valueType: 'string',
+							title: { 'en': 'name', 'de': 'Name' },
+							validators: [ ['maxLength', 3] ],
+							validationErrorMessages: {
+								'tooLong': {
+									'en': 'The ${field} is too long.',
+									'de': '${Field} ist zu lang.'
+								}
+							}
+						},
+						'email': { valueType: 'string' }
+					}
+				}
+			}
+		});
+		it('should render the same errors in another language', function() {
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1, name: 'Johnny' }, 'en');
+			errors.addError('/id', 'Custom.');
+			const localized = errors.localize('de');
+			expect(localized).to.deep.equal({
+				'/name': [ 'Name ist zu lang.' ],
+				'/email': [ 'Fehlender Wert.' ],
+				'/id': [ 'Custom.' ]
+			});
+			expect(localized.getErrorDetails('/name')[0].messageId).to.equal(
+				'tooLong');
+			expect(errors['/name']).to.deep.equal([ 'The name is too long.' ]);
+			expect(localized.localize('en')).to.deep.equal(errors);
+		});
+	});
+	describe('message catalogs', function() {
+		const path = require('path');
+		const recordTypes = records.with(validators).buildLibrary({
+			messageCatalogs: [
+				path.join(__dirname, 'fixtures', 'messages-es.po'),
+				path.join(__dirname, 'fixtures', 'messages-fr.json')
+			],
+			recordTypes: {
+				'Person': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'name': {
+							valueType: 'string',
+							validators: [ ['maxLength', 3] ],
+							validationErrorMessages: {
+								'tooLong': 'The ${field} is too long.'
+							}
+						},
+						'address': {
+							valueType: 'object',
+							properties: {
+								'street': { valueType: 'string' }
+							}
+						}
+					}
+				}
+			}
+		});
+		it('should load translations from catalog files', function() {
+			const record = { id: 1, name: 'Johnny', address: {} };
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', record, 'es')).to.deep.equal({
+				'/name': [ 'El nombre es demasiado largo.' ],
+				'/address/street': [ 'Falta el valor.' ]
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', record, 'fr')).to.deep.equal({
+				'/name': [ 'The name is too long.' ],
+				'/address/street': [ 'La rue est obligatoire.' ]
+			});
+		});
+		it('should report missing translations', function() {
+			const report = validators.getMissingTranslations(recordTypes);
+			expect(report.map(r => r.lang)).to.deep.equal([ 'es', 'fr' ]);
+			expect(report[0].missingTitles).to.deep.equal([
+				'Person:id', 'Person:address', 'Person:address.street' ]);
+			expect(report[1].missingTitles).to.deep.equal([
+				'Person', 'Person:id', 'Person:name', 'Person:address' ]);
+			expect(report[0].missingMessages).to.deep.include(
+				{ scope: '', messageId: 'tooLong' });
+			expect(report[0].missingMessages).to.not.deep.include(
+				{ scope: 'Person:name', messageId: 'tooLong' });
+			expect(report[1].missingMessages).to.deep.include(
+				{ scope: 'Person:name', messageId: 'tooLong' });
+		});
+	});
+	describe('error formatters', function() {
+		const recordTypes = records.with(validators).buildLibrary({
+			recordTypes: {
+				'Person': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'name': {
+							valueType: 'string',
+							title: { 'en': 'full name', 'es': 'nombre' },
+							validators: [ ['maxLength', 3] ]
+						},
+						'tags': {
+							valueType: 'string[]',
+							optional: true,
+							validators: { 'element:*': [ ['maxLength', 2] ] }
+						}
+					}
+				}
+			}
+		});
+		const errors = validators.normalizeRecord(recordTypes, 'Person', {
+			id: 1, tags: [ 'a', 'abc', 'abcd' ]
+		});
+		it('should build ordered flat list', function() {
+			expect(validators.toErrorList(
+				recordTypes, 'Person', errors, 'es')).to.deep.equal([ {
+				pointer: '/name',
+				field: 'nombre',
+				message: 'Missing value.',
+				code: 'missing'
+			}, {
+				pointer: '/tags/1',
+				field: 'tags',
+				message: 'Too long.',
+				code: 'tooLong'
+			}, {
+				pointer: '/tags/2',
+				field: 'tags',
+				message: 'Too long.',
+				code: 'tooLong'
+			} ]);
+		});
+		it('should build problem details and JSON:API documents', function() {
+			const problem = validators.toProblemDetails(
+				recordTypes, 'Person', errors, { instance: '/persons/1' });
+			expect(problem).to.include({
+				type: 'about:blank',
+				status: 422,
+				instance: '/persons/1'
+			});
+			expect(problem.errors[0]).to.deep.equal({
+				pointer: '/name',
+				field: 'full name',
+				detail: 'Missing value.',
+				code: 'missing'
+			});
+			const doc = validators.toJSONAPIErrors(
+				recordTypes, 'Person', errors,
+				{ pointerPrefix: '/data/attributes' });
+			expect(doc.errors).to.have.lengthOf(3);
+			expect(doc.errors[0]).to.deep.equal({
+				status: '422',
+				code: 'missing',
+				detail: 'Missing value.',
+				source: { pointer: '/data/attributes/name' },
+				meta: { field: 'full name' }
+			});
+		});
+		it('should treat no errors as empty list', function() {
+			expect(validators.toErrorList(
+				recordTypes, 'Person', null, 'en')).to.deep.equal([]);
+			expect(validators.toErrorList(
+				recordTypes, 'Person', validators.createValidationErrors())
+			).to.deep.equal([]);
+		});
+		it('should build problem details without errors', function() {
+			expect(validators.toProblemDetails(
+				recordTypes, 'Person', null)).to.deep.equal({
+				type: 'about:blank',
+				title: 'Unprocessable Content',
+				status: 422,
+				errors: []
+			});
+		});
+		it('should build JSON:API document without errors', function() {
+			expect(validators.toJSONAPIErrors(
+				recordTypes, 'Person', null)).to.deep.equal({ errors: [] });
+		});
+		it('should order polymorphic object properties by subtype', function() {
+			const polyRecordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Order': {
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'payment': {
+								valueType: 'object',
+								typePropertyName: 'type',
+								properties: {
+									'amount': { valueType: 'number' }
+								},
+								subtypes: {
+									'CARD': {
+										properties: {
+											'last4': { valueType: 'string' }
+										}
+									},
+									'CHECK': {
+										properties: {
+											'checkNumber': { valueType: 'string' }
+										}
+									}
+								}
+							},
+							'notes': { valueType: 'string' }
+						}
+					}
+				}
+			});
+			const polyErrors = validators.createValidationErrors();
+			polyErrors.addError('/notes', 'Invalid notes.');
+			polyErrors.addError('/payment/CHECK:checkNumber', 'Invalid number.');
+			polyErrors.addError('/payment/amount', 'Invalid amount.');
+			polyErrors.addError('/payment/CARD:last4', 'Invalid digits.');
+			expect(validators.toErrorList(
+				polyRecordTypes, 'Order', polyErrors).map(e => e.pointer)
+			).to.deep.equal([
+				'/payment/amount',
+				'/payment/CARD:last4',
+				'/payment/CHECK:checkNumber',
+				'/notes'
+			]);
+		});
+	});
+	describe('ValidationErrors operations', function() {
+		function createErrors(errorsDef) {
+			const errors = validators.createValidationErrors();
+			for (let ptr of Object.keys(errorsDef))
+				for (let message of errorsDef[ptr])
+					errors.addError(ptr, message);
+			return errors;
+		}
+		it('should count errors', function() {
+			expect(createErrors({}).count).to.equal(0);
+			expect(createErrors({
+				'': [ 'Bad record.' ],
+				'/name': [ 'Too long.', 'Invalid.' ]
+			}).count).to.equal(3);
+		});
+		it('should tell if has errors under a pointer', function() {
+			const errors = createErrors({
+				'/address/zip': [ 'Bad zip.' ],
+				'/addresses': [ 'Too many.' ]
+			});
+			expect(errors.hasErrorsUnder('/address')).to.be.true;
+			expect(errors.hasErrorsUnder('/address/zip')).to.be.true;
+			expect(errors.hasErrorsUnder('/address/city')).to.be.false;
+			expect(errors.hasErrorsUnder('/addr')).to.be.false;
+			expect(errors.hasErrorsUnder('')).to.be.true;
+			expect(createErrors({}).hasErrorsUnder('')).to.be.false;
+		});
+		it('should remove errors for a pointer only', function() {
+			const errors = createErrors({
+				'/address': [ 'Bad address.', 'Incomplete.' ],
+				'/address/zip': [ 'Bad zip.' ]
+			});
+			expect(errors.remove('/address')).to.equal(2);
+			expect(errors.remove('/address')).to.equal(0);
+			expect(errors.hasErrors('/address')).to.be.false;
+			expect(errors.hasErrors('/address/zip')).to.be.true;
+			expect(errors.getErrorDetails('/address')).to.deep.equal([]);
+		});
+		it('should rebase errors', function() {
+			const errors = createErrors({
+				'': [ 'Bad address.' ],
+				'/street': [ 'Too long.' ]
+			});
+			const rebased = errors.rebase('/addresses/2');
+			expect(rebased).to.deep.equal({
+				'/addresses/2': [ 'Bad address.' ],
+				'/addresses/2/street': [ 'Too long.' ]
+			});
+			expect(errors).to.deep.equal({
+				'': [ 'Bad address.' ],
+				'/street': [ 'Too long.' ]
+			});
+			const same = errors.rebase('');
+			expect(same).to.not.equal(errors);
+			expect(same).to.deep.equal(errors);
+			errors.markTruncated();
+			expect(errors.rebase('/a').truncated).to.be.true;
+		});
+		it('should merge errors', function() {
+			const errors = createErrors({
+				'/street': [ 'Bad street.' ]
+			});
+			const other = createErrors({
+				'/street': [ 'Too long.' ],
+				'/zip': [ 'Bad zip.' ]
+			});
+			expect(errors.merge(other)).to.equal(errors);
+			expect(errors).to.deep.equal({
+				'/street': [ 'Bad street.', 'Too long.' ],
+				'/zip': [ 'Bad zip.' ]
+			});
+			expect(errors.truncated).to.be.false;
+			other.markTruncated();
+			expect(createErrors({}).merge(other).truncated).to.be.true;
+		});
+		it('should merge errors up to the limit', function() {
+			const other = createErrors({
+				'/a': [ 'A1.', 'A2.' ],
+				'/b': [ 'B.' ]
+			});
+			let errors = createErrors({}).merge(other, 2);
+			expect(errors).to.deep.equal({ '/a': [ 'A1.', 'A2.' ] });
+			expect(errors.truncated).to.be.true;
+			errors = createErrors({}).merge(other, 3);
+			expect(errors.count).to.equal(3);
+			expect(errors.truncated).to.be.false;
+		});
+		it('should iterate in pointer order', function() {
+			const errors = createErrors({
+				'/addresses/10/zip': [ 'Bad zip.' ],
+				'/tags/b': [ 'Bad tag.' ],
+				'/addresses/2': [ 'Bad address.', 'Incomplete.' ],
+				'/tags/a': [ 'Bad tag.' ],
+				'/addresses/2/street': [ 'Bad street.' ],
+				'/addresses/x': [ 'Bad key.' ],
+				'': [ 'Bad record.' ]
+			});
+			const items = Array.from(errors);
+			expect(items.map(e => e.pointer)).to.deep.equal([
+				'',
+				'/addresses/2',
+				'/addresses/2',
+				'/addresses/2/street',
+				'/addresses/10/zip',
+				'/addresses/x',
+				'/tags/a',
+				'/tags/b'
+			]);
+			expect(items[1].message).to.equal('Bad address.');
+			expect(items[2].message).to.equal('Incomplete.');
+			expect(Array.from(createErrors({}))).to.deep.equal([]);
+		});
+		it('should serialize to plain object', function() {
+			const errors = createErrors({
+				'/name': [ 'Too long.' ]
+			});
+			const json = errors.toJSON();
+			expect(json).to.deep.equal({ '/name': [ 'Too long.' ] });
+			json['/name'].push('Invalid.');
+			expect(errors['/name']).to.deep.equal([ 'Too long.' ]);
+			expect(JSON.parse(JSON.stringify(errors))).to.deep.equal({
+				'/name': [ 'Too long.' ]
+			});
+		});
+		it('should limit merged errors in the context', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Person': {
+						validators: [
+							(_, ctx) => {
+								ctx.mergeErrors(createErrors({
+									'/a': [ 'A.' ],
+									'/b': [ 'B1.', 'B2.' ],
+									'/c': [ 'C.' ],
+									'/d': [ 'D.' ]
+								}), '/related');
+								expect(ctx.errorsCount).to.equal(2);
+							}
+						],
+						properties: {
+							'id': { valueType: 'number', role: 'id' }
+						}
+					}
+				}
+			});
+			const errors = validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1 }, { maxErrors: 2 });
+			expect(errors).to.deep.equal({
+				'/related/a': [ 'A.' ],
+				'/related/b': [ 'B1.' ]
+			});
+			expect(errors.truncated).to.be.true;
+		});
+		it('should be available to record validators', function() {
+			const recordTypes = records.with(validators).buildLibrary({
+				recordTypes: {
+					'Person': {
+						validators: [
+							(_, ctx, record) => {
+								if (ctx.hasErrorsUnder('/address')) {
+									ctx.removeErrorsFor('/address/zip');
+									ctx.addErrorFor('/address', 'Bad address.');
+								}
+								const other = validators.createValidationErrors();
+								other.addError('/name', 'Taken.');
+								ctx.mergeErrors(other);
+								expect(ctx.errorsCount).to.equal(2);
+							}
+						],
+						properties: {
+							'id': { valueType: 'number', role: 'id' },
+							'address': {
+								valueType: 'object',
+								properties: {
+									'zip': { valueType: 'string' }
+								}
+							}
+						}
+					}
+				}
+			});
+			expect(validators.normalizeRecord(
+				recordTypes, 'Person', { id: 1, address: {} }
+			)).to.deep.equal({
+				'/address': [ 'Bad address.' ],
+				'/name': [ 'Taken.' ]
+			});
+		});
+	});
 });